@@ -0,0 +1,132 @@
+// Serverless function (Vercel) that signs Cloudinary upload parameters,
+// so the API secret never reaches the browser. Also served locally by scripts/sign-server.js.
+
+import { randomUUID } from 'node:crypto';
+import { v2 as cloudinary } from 'cloudinary';
+import { verifySigningToken } from '../server/signingTokens.js';
+
+/**
+ * Send a JSON response (works with both Vercel and plain node:http responses)
+ */
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+// A SHA-256 digest in hex, the only public id a client may ask for
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+// Folder uploads go to unless CLOUDINARY_UPLOAD_FOLDER says otherwise
+const DEFAULT_FOLDER = 'recordings';
+// Video containers the recorder produces; Cloudinary rejects any other file under this signature
+const ALLOWED_FORMATS = 'webm,mp4,mov,mkv';
+
+/**
+ * Origins allowed to call the endpoint, from the comma-separated SIGNING_ALLOWED_ORIGIN
+ */
+function getAllowedOrigins() {
+  return (process.env.SIGNING_ALLOWED_ORIGIN || '').split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+/**
+ * The user a request is signed for, from `Authorization: Bearer <token>` where the token was issued
+ * by the host's backend with createSigningToken (server/signingTokens.js) after checking the user's session
+ * @returns {string|null}
+ */
+function getCaller(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' ? verifySigningToken(token) : null;
+}
+
+/**
+ * Read a JSON request body; Vercel has already parsed it, plain node:http has not
+ */
+async function readJsonBody(req) {
+  if (req.body !== undefined) {
+    return typeof req.body === 'string' ? JSON.parse(req.body || '{}') : req.body || {};
+  }
+
+  let raw = '';
+  for await (const chunk of req) {
+    raw += chunk;
+  }
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * Return `{ apiKey, signature, params }` for a signed upload.
+ * The client must send every entry of `params` unchanged along with the signature.
+ * Every param is fixed here: the folder, the accepted formats, the signed upload preset (which
+ * carries the size limit) and the public id, which is never overwritten. A signature therefore
+ * creates at most one video asset, named after `{ sha256 }` from the body or a random id.
+ */
+export default async function handler(req, res) {
+  const { CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET, CLOUDINARY_SIGNED_UPLOAD_PRESET, SIGNING_TOKEN_SECRET } = process.env;
+  const folder = process.env.CLOUDINARY_UPLOAD_FOLDER || DEFAULT_FOLDER;
+  const allowedOrigins = getAllowedOrigins();
+  // Signatures let their holder upload into the account, so the endpoint never answers unless it is locked down
+  if (!CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET || !SIGNING_TOKEN_SECRET || allowedOrigins.length === 0) {
+    sendJson(res, 500, { error: { message: 'Signing endpoint not configured' } });
+    return;
+  }
+
+  // Browsers always send Origin on CORS preflights and POSTs; a request without one is not from the app
+  const { origin } = req.headers;
+  if (!allowedOrigins.includes(origin)) {
+    sendJson(res, 403, { error: { message: 'Origin not allowed' } });
+    return;
+  }
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 204;
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: { message: 'Method not allowed' } });
+    return;
+  }
+
+  if (!getCaller(req)) {
+    sendJson(res, 401, { error: { message: 'Missing or expired signing token' } });
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch {
+    sendJson(res, 400, { error: { message: 'Request body is not valid JSON' } });
+    return;
+  }
+  const { sha256 } = body;
+  if (sha256 != null && !SHA256_PATTERN.test(sha256)) {
+    sendJson(res, 400, { error: { message: 'sha256 must be a hex SHA-256 digest' } });
+    return;
+  }
+
+  const params = {
+    timestamp: Math.round(Date.now() / 1000),
+    folder,
+    allowed_formats: ALLOWED_FORMATS,
+    public_id: sha256 || randomUUID(),
+    overwrite: false,
+  };
+  if (CLOUDINARY_SIGNED_UPLOAD_PRESET) {
+    params.upload_preset = CLOUDINARY_SIGNED_UPLOAD_PRESET;
+  }
+  if (sha256) {
+    params.context = `sha256=${sha256}`;
+  }
+
+  sendJson(res, 200, {
+    apiKey: CLOUDINARY_API_KEY,
+    signature: cloudinary.utils.api_sign_request(params, CLOUDINARY_API_SECRET),
+    params
+  });
+}
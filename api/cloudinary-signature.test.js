@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import handler from './cloudinary-signature.js';
+import { createSigningToken } from '../server/signingTokens.js';
+
+const ORIGIN = 'https://app.example';
+
+/**
+ * Call the handler with a JSON body and collect the response
+ */
+async function request({ method = 'POST', headers = {}, body = {} } = {}) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    end(data) {
+      this.body = data ? JSON.parse(data) : null;
+    },
+  };
+  await handler({ method, headers, body }, res);
+  return res;
+}
+
+describe('cloudinary-signature', () => {
+  beforeEach(() => {
+    Object.assign(process.env, {
+      CLOUDINARY_API_KEY: 'key',
+      CLOUDINARY_API_SECRET: 'secret',
+      SIGNING_ALLOWED_ORIGIN: ORIGIN,
+      SIGNING_TOKEN_SECRET: 'token-secret',
+    });
+  });
+
+  it('refuses requests without an allowed Origin, even with a valid token', async () => {
+    const { token } = createSigningToken('user-1');
+
+    const missing = await request({ headers: { authorization: `Bearer ${token}` } });
+    const other = await request({ headers: { origin: 'https://evil.example', authorization: `Bearer ${token}` } });
+
+    expect(missing.statusCode).toBe(403);
+    expect(other.statusCode).toBe(403);
+  });
+
+  it('refuses forged and expired tokens', async () => {
+    const { token } = createSigningToken('user-1');
+    const [payload] = token.split('.');
+    const expired = createSigningToken('user-1', { ttl: -1 }).token;
+
+    for (const candidate of ['static-token', `${payload}.forged`, expired]) {
+      const res = await request({ headers: { origin: ORIGIN, authorization: `Bearer ${candidate}` } });
+      expect(res.statusCode).toBe(401);
+    }
+  });
+
+  it('signs fixed params for a caller with a valid token', async () => {
+    const { token } = createSigningToken('user-1');
+    const sha256 = 'a'.repeat(64);
+
+    const named = await request({ headers: { origin: ORIGIN, authorization: `Bearer ${token}` }, body: { sha256 } });
+    const unnamed = await request({ headers: { origin: ORIGIN, authorization: `Bearer ${token}` } });
+
+    expect(named.statusCode).toBe(200);
+    expect(named.headers['Access-Control-Allow-Origin']).toBe(ORIGIN);
+    expect(named.body.params).toMatchObject({
+      folder: 'recordings',
+      allowed_formats: 'webm,mp4,mov,mkv',
+      public_id: sha256,
+      overwrite: false,
+    });
+    expect(unnamed.body.params.public_id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
@@ -0,0 +1,32 @@
+// Minimal local server for the Cloudinary signing function
+// Usage: npm run sign-server (reads CLOUDINARY_API_KEY / CLOUDINARY_API_SECRET / SIGNING_TOKEN_SECRET from .env)
+
+import http from 'node:http';
+import handler from '../api/cloudinary-signature.js';
+import { createSigningToken } from '../server/signingTokens.js';
+
+const PORT = Number(process.env.SIGN_SERVER_PORT) || 8787;
+// Development only: stands in for the host's sign-in and hands a signing token to whoever asks
+const DEV_USER = process.env.SIGNING_DEV_USER;
+
+http
+  .createServer((req, res) => {
+    const path = req.url.split('?')[0];
+    if (path === '/api/cloudinary-signature') {
+      handler(req, res);
+      return;
+    }
+    if (path === '/api/signing-token' && DEV_USER) {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(createSigningToken(DEV_USER)));
+      return;
+    }
+    res.statusCode = 404;
+    res.end();
+  })
+  .listen(PORT, () => {
+    console.log(`Cloudinary signing server listening on http://localhost:${PORT}/api/cloudinary-signature`);
+    if (DEV_USER) {
+      console.log(`Issuing development signing tokens for "${DEV_USER}" at /api/signing-token; never deploy this`);
+    }
+  });
@@ -0,0 +1,63 @@
+// Short-lived signing tokens: issued by the host's backend to a signed-in user, checked by the signing endpoint.
+// A token is `<payload>.<HMAC-SHA256 of payload>` (both base64url), keyed with SIGNING_TOKEN_SECRET,
+// which never leaves the server, so no value in the app bundle can stand in for one.
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+// Longest a token may live, whatever the issuer asks for (seconds)
+export const MAX_TOKEN_TTL = 15 * 60;
+
+function getSecret() {
+  const secret = process.env.SIGNING_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('SIGNING_TOKEN_SECRET is not set');
+  }
+  return secret;
+}
+
+function mac(payload) {
+  return createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a token that lets a user get upload signatures for a few minutes.
+ * Call it only from an endpoint that has already checked the user's session.
+ * @param {string} userId - Who the signatures are for
+ * @param {Object} [options]
+ * @param {number} [options.ttl=300] - Lifetime in seconds, capped at MAX_TOKEN_TTL
+ * @returns {{ token: string, expiresAt: number }} - expiresAt in ms since the epoch
+ */
+export function createSigningToken(userId, { ttl = 5 * 60 } = {}) {
+  const exp = Math.floor(Date.now() / 1000) + Math.min(ttl, MAX_TOKEN_TTL);
+  const payload = Buffer.from(JSON.stringify({ sub: String(userId), exp })).toString('base64url');
+  return { token: `${payload}.${mac(payload)}`, expiresAt: exp * 1000 };
+}
+
+/**
+ * Check a token from createSigningToken
+ * @returns {string|null} - The user id, or null if the token is malformed, forged or expired
+ */
+export function verifySigningToken(token) {
+  const [payload, signature, ...rest] = String(token || '').split('.');
+  if (!payload || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(mac(payload));
+  const received = Buffer.from(signature);
+  if (received.length !== expected.length || !timingSafeEqual(received, expected)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch {
+    return null;
+  }
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims?.sub !== 'string' || !Number.isInteger(claims.exp) || claims.exp <= now || claims.exp > now + MAX_TOKEN_TTL) {
+    return null;
+  }
+  return claims.sub;
+}
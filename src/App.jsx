@@ -1,25 +1,112 @@
 import { useState, useRef, useEffect } from 'react';
-import { saveVideo, getVideos, deleteVideo, updateVideo } from './db';
-import { uploadToCloudinary, isOnline } from './cloudinary';
+import { addVideoVersion, queryVideos, countVideos, getAllTags, getVideoIds, getVideo, deleteVideo, getQueueItems } from './db';
+import { enqueue, subscribe, startUploadQueue, cancelUpload, pauseUpload, resumeUpload, QueueState } from './uploadQueue';
+import { evictUploadedBlobs } from './storage';
+import { formatBytes } from './uploadUtils';
+import UpdatePrompt from './UpdatePrompt';
+import Toaster from './Toaster';
+import { showToast, ToastType } from './toasts';
+import { describeUploadError } from './uploadErrors';
+import StoragePanel from './StoragePanel';
+import VideoEditor from './VideoEditor';
+import VideoRecorder from './VideoRecorder';
+import { envUploadConfig } from './envUploadConfig';
+import VideoCard from './VideoCard';
+import VirtualGrid from './VirtualGrid';
+import BulkActionsBar from './BulkActionsBar';
+import LibraryToolbar, { DEFAULT_LIBRARY_QUERY, hasFilters, toVideoQuery } from './LibraryToolbar';
+import { compressVideo, needsCompression } from './compression';
+import { subscribeToTabs, TabMessage } from './crossTab';
+
+// Videos read from IndexedDB per page of the library
+const PAGE_SIZE = 12;
+// How long to wait for more changes from other tabs before reloading the library (ms)
+const TAB_SYNC_DELAY = 250;
 
 function App() {
-  const [recording, setRecording] = useState(false);
   const [videos, setVideos] = useState([]);
-  const [stream, setStream] = useState(null);
-  const [uploadingId, setUploadingId] = useState(null);
+  const [videoCount, setVideoCount] = useState(0);
+  const [libraryQuery, setLibraryQuery] = useState(DEFAULT_LIBRARY_QUERY);
+  const [tags, setTags] = useState([]);
+  const [queue, setQueue] = useState({});
   const [uploadProgress, setUploadProgress] = useState({});
   const [online, setOnline] = useState(navigator.onLine);
-  const [cameraError, setCameraError] = useState(null);
-  const [recordingTime, setRecordingTime] = useState(0);
-  
-  const videoRef = useRef(null);
-  const mediaRecorderRef = useRef(null);
-  const chunksRef = useRef([]);
-  const timerRef = useRef(null);
-
-  // Load videos from IndexedDB on mount
+  const [editingVideo, setEditingVideo] = useState(null);
+  const [compression, setCompression] = useState({}); // videoId -> { progress, error }
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+
+  const loadedCountRef = useRef(PAGE_SIZE); // videos to keep loaded when the library reloads
+  const loadingMoreRef = useRef(false);
+  const nextPageRef = useRef(null); // where the next library page starts, null on the last page
+  const loadSeqRef = useRef(0); // discards results of superseded library loads
+  // loadVideos also runs from long-lived callbacks, so it reads the query from a ref
+  const libraryQueryRef = useRef(DEFAULT_LIBRARY_QUERY);
+
+  // Clean up old local copies, then load videos from IndexedDB on mount
   useEffect(() => {
-    loadVideos();
+    evictUploadedBlobs()
+      .catch(error => console.error('Storage cleanup failed:', error))
+      .finally(loadVideos);
+  }, []);
+
+  // Run the background upload queue and mirror its state
+  useEffect(() => {
+    getQueueItems().then((items) => {
+      setQueue(Object.fromEntries(items.map(item => [item.videoId, item])));
+    });
+
+    const unsubscribe = subscribe((event) => {
+      if (event.type === 'progress') {
+        setUploadProgress(prev => ({ ...prev, [event.videoId]: event.progress }));
+        return;
+      }
+
+      const { item } = event;
+      setQueue(prev => ({ ...prev, [item.videoId]: item }));
+      // A paused upload keeps showing how far it got
+      if (item.state !== QueueState.UPLOADING && item.state !== QueueState.PAUSED) {
+        setUploadProgress(prev => {
+          const newProgress = { ...prev };
+          delete newProgress[item.videoId];
+          return newProgress;
+        });
+      }
+      if (item.state === QueueState.DONE) {
+        loadVideos();
+      }
+      // The tab running the upload shows the toast
+      if (!event.remote) {
+        notifyUploadResult(item);
+      }
+    });
+    const stopQueue = startUploadQueue();
+
+    return () => {
+      unsubscribe();
+      stopQueue();
+    };
+  }, []);
+
+  // Follow changes other tabs and the service worker make to the library
+  useEffect(() => {
+    let reloadTimer = null;
+    const unsubscribe = subscribeToTabs((message) => {
+      if (message.type !== TabMessage.VIDEOS_CHANGED) {
+        return;
+      }
+      if (message.deleted) {
+        forgetVideos(message.ids);
+      }
+      // Uploads save their progress often; reload once the changes settle
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(loadVideos, TAB_SYNC_DELAY);
+    });
+
+    return () => {
+      unsubscribe();
+      clearTimeout(reloadTimer);
+    };
   }, []);
 
   // Monitor online/offline status
@@ -36,184 +123,203 @@ function App() {
     };
   }, []);
 
-  // Stop stream when unmounting
-  useEffect(() => {
-    return () => {
-      if (stream) {
-        stream.getTracks().forEach(track => track.stop());
-      }
-    };
-  }, [stream]);
+  /**
+   * Toast when an upload finishes or fails
+   */
+  async function notifyUploadResult(item) {
+    if (item.state !== QueueState.DONE && item.state !== QueueState.FAILED) {
+      return;
+    }
 
+    const video = await getVideo(item.videoId);
+    const name = video?.title ? `"${video.title}"` : 'Video';
+    if (item.state === QueueState.DONE) {
+      showToast(`${name} uploaded`, { type: ToastType.SUCCESS });
+    } else {
+      const retry = item.nextRetryAt ? ` Retrying at ${new Date(item.nextRetryAt).toLocaleTimeString()}.` : '';
+      showToast(`${name} failed to upload: ${describeUploadError(item.lastError)}.${retry}`, { type: ToastType.ERROR });
+    }
+  }
+
+  /**
+   * Reload the library with the current query, keeping as many videos loaded as before
+   */
   async function loadVideos() {
-    const storedVideos = await getVideos();
-    setVideos(storedVideos);
+    const seq = ++loadSeqRef.current;
+    const query = toVideoQuery(libraryQueryRef.current);
+    const [page, count, allTags] = await Promise.all([
+      queryVideos({ ...query, limit: loadedCountRef.current }),
+      countVideos(query.filters),
+      getAllTags(),
+    ]);
+    // A newer query started while this one ran
+    if (seq !== loadSeqRef.current) {
+      return;
+    }
+
+    nextPageRef.current = page.next;
+    setVideos(page.videos);
+    setVideoCount(count);
+    setTags(allTags);
   }
 
-  async function startRecording() {
+  /**
+   * Read the next page once the end of the grid scrolls into view
+   */
+  async function loadMoreVideos() {
+    if (!nextPageRef.current || loadingMoreRef.current) {
+      return;
+    }
+
+    const seq = loadSeqRef.current;
+    loadingMoreRef.current = true;
     try {
-      setCameraError(null);
-      
-      // Request camera and microphone access
-      const mediaStream = await navigator.mediaDevices.getUserMedia({
-        video: { facingMode: 'user' },
-        audio: true,
+      const page = await queryVideos({
+        ...toVideoQuery(libraryQueryRef.current),
+        after: nextPageRef.current,
+        limit: PAGE_SIZE,
       });
+      if (seq !== loadSeqRef.current) {
+        return;
+      }
+      nextPageRef.current = page.next;
+      loadedCountRef.current = videos.length + page.videos.length;
+      setVideos(prev => [...prev, ...page.videos]);
+    } finally {
+      loadingMoreRef.current = false;
+    }
+  }
 
-      setStream(mediaStream);
-      
-      // Show preview
-      if (videoRef.current) {
-        videoRef.current.srcObject = mediaStream;
+  function handleLibraryQueryChange(query) {
+    libraryQueryRef.current = query;
+    loadedCountRef.current = PAGE_SIZE;
+    setLibraryQuery(query);
+    loadVideos();
+  }
+
+  function toggleSelectionMode() {
+    setSelectionMode(prev => !prev);
+    setSelectedIds(new Set());
+  }
+
+  function handleSelect(id, selected) {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (selected) {
+        next.add(id);
+      } else {
+        next.delete(id);
       }
+      return next;
+    });
+  }
 
-      // Initialize MediaRecorder
-      const mediaRecorder = new MediaRecorder(mediaStream, {
-        mimeType: 'video/webm',
-      });
+  /**
+   * Select every video matching the filters, including pages not loaded yet
+   */
+  async function selectAllVideos() {
+    const ids = await getVideoIds(toVideoQuery(libraryQueryRef.current).filters);
+    setSelectedIds(new Set(ids));
+  }
 
-      chunksRef.current = [];
-
-      mediaRecorder.ondataavailable = (event) => {
-        if (event.data.size > 0) {
-          chunksRef.current.push(event.data);
-        }
-      };
-
-      mediaRecorder.onstop = async () => {
-        // Stop timer
-        if (timerRef.current) {
-          clearInterval(timerRef.current);
-        }
-        setRecordingTime(0);
-        
-        // Combine chunks into single blob
-        const blob = new Blob(chunksRef.current, { type: 'video/webm' });
-        
-        // CRITICAL: Save to IndexedDB BEFORE upload attempt
-        await saveVideo(blob);
-        
-        // Reload video list
-        await loadVideos();
-        
-        // Clean up
-        chunksRef.current = [];
-        mediaStream.getTracks().forEach(track => track.stop());
-        if (videoRef.current) {
-          videoRef.current.srcObject = null;
-        }
-        setStream(null);
-      };
-
-      mediaRecorder.start();
-      mediaRecorderRef.current = mediaRecorder;
-      setRecording(true);
-      
-      // Start timer
-      setRecordingTime(0);
-      timerRef.current = setInterval(() => {
-        setRecordingTime(prev => prev + 1);
-      }, 1000);
-      
-    } catch (error) {
-      console.error('Error accessing camera:', error);
-      setCameraError(error.message);
-    }
+  /**
+   * Drop deleted videos from the selection, the queue and the editor
+   */
+  function forgetVideos(deletedIds) {
+    setSelectedIds(prev => new Set([...prev].filter(id => !deletedIds.includes(id))));
+    setQueue(prev => {
+      const newQueue = { ...prev };
+      deletedIds.forEach(id => delete newQueue[id]);
+      return newQueue;
+    });
+    setEditingVideo(prev => (prev && deletedIds.includes(prev.id) ? null : prev));
   }
 
-  function stopRecording() {
-    if (mediaRecorderRef.current && recording) {
-      mediaRecorderRef.current.stop();
-      setRecording(false);
+  /**
+   * Refresh the library after a bulk action and forget deleted videos
+   */
+  async function handleBulkDone(deletedIds) {
+    if (deletedIds.length > 0) {
+      forgetVideos(deletedIds);
     }
+    await loadVideos();
+  }
+
+  function replaceVideo(updated) {
+    setVideos(prev => prev.map(video => (video.id === updated.id ? updated : video)));
+    getAllTags().then(setTags);
   }
 
-  function formatTime(seconds) {
-    const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
-    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  async function handleRecovered(recovered) {
+    showToast(`Recovered ${recovered.length} interrupted recording(s)`, { type: ToastType.SUCCESS });
+    await loadVideos();
+  }
+
+  function handleRecorderError(error) {
+    showToast(error.message, { type: ToastType.ERROR });
   }
 
   async function uploadVideo(id) {
-    // Check online status first
-    if (!isOnline()) {
-      alert('You are offline. Video is saved locally and will be available when you reconnect.');
-      return;
-    }
+    // Queued uploads start right away when online, otherwise on the next `online` event
+    await enqueue(id);
+  }
+
+  /**
+   * Re-encode an oversized video so it fits the upload limit, keep it as a new version, then queue it
+   */
+  async function compressAndUpload(video) {
+    const setState = state => setCompression(prev => ({ ...prev, [video.id]: state }));
+    setState({ progress: 0, error: null });
 
-    setUploadingId(id);
-    setUploadProgress({ ...uploadProgress, [id]: 0 });
-    
     try {
-      // Get video from IndexedDB
-      const videoList = await getVideos();
-      const video = videoList.find(v => v.id === id);
-      
-      if (!video) {
-        throw new Error('Video not found in local storage');
+      const compressed = await compressVideo(video.blob, {
+        duration: video.duration,
+        width: video.width,
+        height: video.height,
+        onProgress: progress => setState({ progress, error: null }),
+      });
+      if (needsCompression(compressed.blob)) {
+        throw new Error(`Still ${formatBytes(compressed.blob.size)} after compressing. Trim the video and try again`);
       }
 
-      // Upload to Cloudinary with progress tracking
-      const result = await uploadToCloudinary(
-        video.blob,
-        (progress) => {
-          setUploadProgress({ ...uploadProgress, [id]: progress });
-        }
-      );
-
-      if (result.success) {
-        // Upload succeeded - mark as uploaded
-        await updateVideo(id, true);
-        await loadVideos();
-        setUploadProgress({ ...uploadProgress, [id]: 100 });
-        
-        alert(`Upload successful! Video URL: ${result.url}`);
-        console.log('Cloudinary response:', result.cloudinaryResponse);
-      }
+      await addVideoVersion(video.id, compressed.blob, {
+        width: compressed.width,
+        height: compressed.height,
+        reason: 'compressed',
+      });
+      setCompression(prev => {
+        const next = { ...prev };
+        delete next[video.id];
+        return next;
+      });
+      await loadVideos();
+      await enqueue(video.id);
     } catch (error) {
-      console.error('Upload failed:', error);
-      
-      // User-friendly error messages
-      let errorMessage = 'Upload failed: ';
-      
-      if (error.message.includes('not configured')) {
-        errorMessage += 'Cloudinary not configured. Please check .env file';
-      } else if (error.message.includes('No internet')) {
-        errorMessage += 'No internet connection';
-      } else if (error.message.includes('timeout')) {
-        errorMessage += 'Upload took too long. Try a shorter video';
-      } else if (error.message.includes('exceeds limit')) {
-        errorMessage += error.message;
-      } else {
-        errorMessage += error.message || 'Unknown error';
-      }
-      
-      errorMessage += '\n\nVideo is saved locally and you can retry later.';
-      alert(errorMessage);
-    } finally {
-      setUploadingId(null);
-      // Clear progress after 2 seconds
-      setTimeout(() => {
-        setUploadProgress(prev => {
-          const newProgress = { ...prev };
-          delete newProgress[id];
-          return newProgress;
-        });
-      }, 2000);
+      console.error('Compression failed:', error);
+      setState({ progress: null, error: error.message });
     }
   }
 
   async function handleDelete(id) {
     if (confirm('Delete this video?')) {
-      await deleteVideo(id);
+      try {
+        await cancelUpload(id);
+        await deleteVideo(id);
+      } catch (error) {
+        console.error('Delete failed:', error);
+        showToast(`Could not delete the video: ${error.message}`, { type: ToastType.ERROR });
+        return;
+      }
+      handleSelect(id, false);
+      setQueue(prev => {
+        const newQueue = { ...prev };
+        delete newQueue[id];
+        return newQueue;
+      });
       await loadVideos();
     }
   }
 
-  function formatDate(timestamp) {
-    return new Date(timestamp).toLocaleString();
-  }
-
   return (
     <div className="app">
       {/* Animated Background */}
@@ -256,68 +362,9 @@ function App() {
       <main className="main-content">
         {/* Recording Section */}
         <section className="recording-section glass-card">
-          <div className="card-header">
-            <h2 className="section-title">
-              <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
-                <circle cx="10" cy="10" r="8" fill="currentColor" opacity="0.2"/>
-                <circle cx="10" cy="10" r="4" fill="currentColor"/>
-              </svg>
-              Record Video
-            </h2>
-            {recording && (
-              <div className="recording-indicator">
-                <span className="rec-dot"></span>
-                <span className="rec-time">{formatTime(recordingTime)}</span>
-              </div>
-            )}
-          </div>
-          
-          <div className="video-container">
-            <video
-              ref={videoRef}
-              autoPlay
-              playsInline
-              muted
-              className={`preview ${recording ? 'recording' : ''}`}
-            />
-            {!stream && !cameraError && (
-              <div className="video-placeholder">
-                <svg width="64" height="64" viewBox="0 0 64 64" fill="none">
-                  <circle cx="32" cy="32" r="32" fill="currentColor" opacity="0.1"/>
-                  <path d="M24 20 L24 44 L44 32 Z" fill="currentColor" opacity="0.3"/>
-                </svg>
-                <p>Ready to record</p>
-              </div>
-            )}
-            {cameraError && (
-              <div className="error-placeholder">
-                <svg width="48" height="48" viewBox="0 0 48 48" fill="none">
-                  <circle cx="24" cy="24" r="24" fill="currentColor" opacity="0.1"/>
-                  <path d="M24 16 L24 28 M24 32 L24 34" stroke="currentColor" strokeWidth="3" strokeLinecap="round"/>
-                </svg>
-                <p>Camera access denied</p>
-                <span>{cameraError}</span>
-              </div>
-            )}
-          </div>
-          
-          <div className="controls">
-            {!recording ? (
-              <button onClick={startRecording} className="btn btn-primary btn-large">
-                <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
-                  <circle cx="10" cy="10" r="8"/>
-                </svg>
-                Start Recording
-              </button>
-            ) : (
-              <button onClick={stopRecording} className="btn btn-danger btn-large">
-                <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
-                  <rect x="5" y="5" width="10" height="10" rx="2"/>
-                </svg>
-                Stop Recording
-              </button>
-            )}
-          </div>
+          <VideoRecorder uploadConfig={envUploadConfig} onSaved={loadVideos} onRecovered={handleRecovered} onError={handleRecorderError}>
+            <StoragePanel refreshKey={videos} onEvicted={loadVideos} />
+          </VideoRecorder>
         </section>
 
         {/* Saved Videos Section */}
@@ -329,11 +376,35 @@ function App() {
                 <circle cx="7" cy="9" r="1.5" fill="currentColor"/>
               </svg>
               Saved Videos
-              <span className="video-count">{videos.length}</span>
+              <span className="video-count">{videoCount}</span>
             </h2>
+            {(videoCount > 0 || selectionMode) && (
+              <button onClick={toggleSelectionMode} className={`btn btn-secondary ${selectionMode ? 'active' : ''}`}>
+                {selectionMode ? 'Done' : 'Select'}
+              </button>
+            )}
           </div>
+
+          <LibraryToolbar query={libraryQuery} onChange={handleLibraryQueryChange} tags={tags} />
+
+          {selectionMode && (
+            <BulkActionsBar
+              selectedIds={[...selectedIds]}
+              totalCount={videoCount}
+              queue={queue}
+              uploadProgress={uploadProgress}
+              onSelectAll={selectAllVideos}
+              onClear={() => setSelectedIds(new Set())}
+              onDone={handleBulkDone}
+            />
+          )}
           
-          {videos.length === 0 ? (
+          {videos.length === 0 && hasFilters(libraryQuery) ? (
+            <div className="empty-state">
+              <h3>No matching videos</h3>
+              <p>Try a different search or clear the filters</p>
+            </div>
+          ) : videos.length === 0 ? (
             <div className="empty-state">
               <svg width="80" height="80" viewBox="0 0 80 80" fill="none">
                 <circle cx="40" cy="40" r="40" fill="currentColor" opacity="0.05"/>
@@ -343,113 +414,49 @@ function App() {
               <p>Start recording to create your first video</p>
             </div>
           ) : (
-            <div className="video-grid">
-              {videos.map((video) => (
-                <div key={video.id} className="video-card">
-                  <div className="video-preview-wrapper">
-                    <video
-                      src={URL.createObjectURL(video.blob)}
-                      controls
-                      className="video-player"
-                    />
-                    <div className="video-overlay">
-                      <div className={`status-badge-small ${video.uploaded ? 'success' : 'pending'}`}>
-                        {video.uploaded ? (
-                          <>
-                            <svg width="12" height="12" viewBox="0 0 12 12" fill="currentColor">
-                              <path d="M2 6 L5 9 L10 3" stroke="currentColor" fill="none" strokeWidth="2" strokeLinecap="round"/>
-                            </svg>
-                            Uploaded
-                          </>
-                        ) : (
-                          <>
-                            <svg width="12" height="12" viewBox="0 0 12 12" fill="currentColor">
-                              <circle cx="6" cy="6" r="5" fill="none" stroke="currentColor" strokeWidth="1.5"/>
-                            </svg>
-                            Local
-                          </>
-                        )}
-                      </div>
-                    </div>
-                  </div>
-                  
-                  <div className="video-details">
-                    <div className="video-meta">
-                      <span className="video-date">
-                        <svg width="14" height="14" viewBox="0 0 14 14" fill="currentColor">
-                          <circle cx="7" cy="7" r="6" fill="none" stroke="currentColor" strokeWidth="1.2"/>
-                          <path d="M7 3 L7 7 L10 7" stroke="currentColor" strokeWidth="1.2" fill="none" strokeLinecap="round"/>
-                        </svg>
-                        {formatDate(video.createdAt)}
-                      </span>
-                      <span className="video-size">
-                        <svg width="14" height="14" viewBox="0 0 14 14" fill="currentColor">
-                          <rect x="3" y="3" width="8" height="8" rx="1" fill="none" stroke="currentColor" strokeWidth="1.2"/>
-                        </svg>
-                        {(video.blob.size / (1024 * 1024)).toFixed(2)} MB
-                      </span>
-                    </div>
-                    
-                    {/* Upload Progress Bar */}
-                    {uploadProgress[video.id] !== undefined && (
-                      <div className="progress-wrapper">
-                        <div className="progress-bar-modern">
-                          <div 
-                            className="progress-fill-modern" 
-                            style={{ width: `${uploadProgress[video.id]}%` }}
-                          >
-                            <div className="progress-shine"></div>
-                          </div>
-                        </div>
-                        <span className="progress-percentage">{uploadProgress[video.id]}%</span>
-                      </div>
-                    )}
-                    
-                    <div className="video-actions">
-                      {!video.uploaded && (
-                        <button
-                          onClick={() => uploadVideo(video.id)}
-                          disabled={uploadingId === video.id || !online}
-                          className="btn btn-upload"
-                          title={!online ? 'Cannot upload while offline' : ''}
-                        >
-                          {uploadingId === video.id ? (
-                            <>
-                              <svg className="spinner" width="16" height="16" viewBox="0 0 16 16" fill="none">
-                                <circle cx="8" cy="8" r="6" stroke="currentColor" strokeWidth="2" opacity="0.3"/>
-                                <path d="M8 2 A6 6 0 0 1 14 8" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
-                              </svg>
-                              Uploading...
-                            </>
-                          ) : (
-                            <>
-                              <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
-                                <path d="M8 2 L8 10 M5 7 L8 2 L11 7" stroke="currentColor" fill="none" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
-                                <path d="M3 12 L13 12" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/>
-                              </svg>
-                              Upload to Cloud
-                            </>
-                          )}
-                        </button>
-                      )}
-                      <button
-                        onClick={() => handleDelete(video.id)}
-                        className="btn btn-delete-icon"
-                        disabled={uploadingId === video.id}
-                        title="Delete video"
-                      >
-                        <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
-                          <path d="M3 5 L13 5 M5 5 L5 13 L11 13 L11 5 M6 2 L10 2" stroke="currentColor" fill="none" strokeWidth="1.5" strokeLinecap="round"/>
-                        </svg>
-                      </button>
-                    </div>
-                  </div>
-                </div>
-              ))}
-            </div>
+            <VirtualGrid
+              items={videos}
+              getKey={video => video.id}
+              minColumnWidth={320}
+              gap={24}
+              estimatedRowHeight={420}
+              onEndReached={loadMoreVideos}
+              renderItem={video => (
+                <VideoCard
+                  video={video}
+                  queueItem={queue[video.id]}
+                  uploadProgress={uploadProgress[video.id]}
+                  compression={compression[video.id]}
+                  online={online}
+                  onUpload={uploadVideo}
+                  onCancelUpload={cancelUpload}
+                  onPauseUpload={pauseUpload}
+                  onResumeUpload={resumeUpload}
+                  onCompress={compressAndUpload}
+                  onEdit={setEditingVideo}
+                  onDelete={handleDelete}
+                  onTagClick={tag => handleLibraryQueryChange({ ...libraryQuery, tag })}
+                  onChange={replaceVideo}
+                  selectable={selectionMode}
+                  selected={selectedIds.has(video.id)}
+                  onSelect={handleSelect}
+                />
+              )}
+            />
           )}
         </section>
       </main>
+
+      {editingVideo && (
+        <VideoEditor
+          video={editingVideo}
+          onClose={() => setEditingVideo(null)}
+          onSaved={loadVideos}
+        />
+      )}
+
+      <UpdatePrompt />
+      <Toaster />
     </div>
   );
 }
@@ -0,0 +1,207 @@
+import { useState, useRef } from 'react';
+import { QueueState } from './uploadQueue';
+import { uploadVideos, deleteSelectedVideos, downloadVideos } from './bulkActions';
+import { BulkStatus } from './bulkStatus';
+import { removeUploadedLocalCopies } from './storage';
+import { exportLibrary, importLibrary } from './libraryArchive';
+import { downloadBlob } from './download';
+import { describeUploadError } from './uploadErrors';
+
+const STATUS_LABELS = {
+  [BulkStatus.PENDING]: 'In progress',
+  [BulkStatus.OK]: 'Done',
+  [BulkStatus.FAILED]: 'Failed',
+  [BulkStatus.SKIPPED]: 'Skipped',
+};
+
+/**
+ * Resolve pending upload results from the queue state of each video
+ */
+function resolveUploadResult(result, queueItem) {
+  if (result.status !== BulkStatus.PENDING) {
+    return result;
+  }
+  if (!queueItem) {
+    return { ...result, status: BulkStatus.FAILED, message: 'Removed from the queue' };
+  }
+  if (queueItem.state === QueueState.DONE) {
+    return { ...result, status: BulkStatus.OK };
+  }
+  if (queueItem.state === QueueState.FAILED) {
+    return { ...result, status: BulkStatus.FAILED, message: describeUploadError(queueItem.lastError) };
+  }
+  if (queueItem.state === QueueState.CANCELLED) {
+    return { ...result, status: BulkStatus.SKIPPED, message: 'Upload cancelled' };
+  }
+  return result;
+}
+
+/**
+ * Bulk actions for the videos selected in the library, with aggregate progress and a result per video.
+ * Also exports the selection to an archive and imports one.
+ * @param {Object} props
+ * @param {Array<string>} props.selectedIds - Selected video IDs
+ * @param {number} props.totalCount - Number of videos matching the library filters
+ * @param {Object} props.queue - Upload queue items by video ID
+ * @param {Object} props.uploadProgress - Upload progress (0-100) by video ID
+ * @param {Function} props.onSelectAll - Select every video matching the filters
+ * @param {Function} props.onClear - Clear the selection
+ * @param {Function} props.onDone - Called after an action changed the library, with the IDs of deleted videos
+ */
+function BulkActionsBar({ selectedIds, totalCount, queue, uploadProgress, onSelectAll, onClear, onDone }) {
+  const [job, setJob] = useState(null); // { action, total, results, running, message }
+  const importInputRef = useRef(null);
+
+  const results = job?.action === 'upload'
+    ? job.results.map(result => resolveUploadResult(result, queue[result.id]))
+    : job?.results || [];
+  const pending = results.filter(result => result.status === BulkStatus.PENDING);
+  const running = Boolean(job?.running) || pending.length > 0;
+
+  // Uploads report their own progress; every other finished item counts as complete
+  const progress = job?.total ? Math.round(results.reduce((sum, result) => {
+    if (result.status !== BulkStatus.PENDING) {
+      return sum + 100;
+    }
+    return sum + (uploadProgress[result.id] ?? 0);
+  }, 0) / job.total) : 0;
+
+  async function run(action, task, total = selectedIds.length) {
+    setJob({ action, total, results: [], running: true, message: null });
+    try {
+      const taskResults = await task();
+      setJob({ action, total, results: taskResults, running: false, message: null });
+    } catch (error) {
+      console.error(`Bulk ${action} failed:`, error);
+      setJob(prev => ({ ...prev, running: false, message: error.message }));
+    }
+  }
+
+  function uploadSelected() {
+    run('upload', () => uploadVideos(selectedIds));
+  }
+
+  function deleteSelected() {
+    if (!confirm(`Delete ${selectedIds.length} selected video(s)?`)) {
+      return;
+    }
+    run('delete', async () => {
+      const deleted = await deleteSelectedVideos(selectedIds);
+      onDone(deleted.filter(result => result.status === BulkStatus.OK).map(result => result.id));
+      return deleted;
+    });
+  }
+
+  function downloadSelected() {
+    run('download', () => downloadVideos(selectedIds, (partial) => {
+      setJob(prev => ({ ...prev, results: partial }));
+    }));
+  }
+
+  function exportSelected() {
+    run('export', async () => {
+      const { archive, results: exported } = await exportLibrary(selectedIds, (partial) => {
+        setJob(prev => ({ ...prev, results: partial }));
+      });
+      downloadBlob(archive, `videovault-export-${new Date().toISOString().slice(0, 10)}.zip`);
+      return exported;
+    });
+  }
+
+  function importArchive(event) {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+    // The number of videos is only known once the manifest has been read
+    run('import', async () => {
+      const imported = await importLibrary(file, (partial, total) => {
+        setJob(prev => ({ ...prev, total, results: partial }));
+      });
+      onDone([]);
+      return imported;
+    }, 0);
+  }
+
+  async function removeLocalCopies() {
+    if (!confirm('Delete the local copy of every uploaded video? Each cloud copy is checked first, and they stay playable from the cloud.')) {
+      return;
+    }
+    setJob({ action: 'removeLocal', results: [], running: true, message: null });
+    try {
+      const { removed, kept } = await removeUploadedLocalCopies();
+      const message = `Removed ${removed} local cop${removed === 1 ? 'y' : 'ies'}`
+        + (kept > 0 ? `; kept ${kept} whose cloud copy could not be verified` : '');
+      setJob({ action: 'removeLocal', results: [], running: false, message });
+      onDone([]);
+    } catch (error) {
+      setJob({ action: 'removeLocal', results: [], running: false, message: error.message });
+    }
+  }
+
+  const noSelection = selectedIds.length === 0;
+
+  return (
+    <div className="bulk-bar">
+      <div className="bulk-bar-row">
+        <span className="bulk-count">{selectedIds.length} of {totalCount} selected</span>
+        <button onClick={onSelectAll} className="btn btn-secondary" disabled={running}>Select all</button>
+        <button onClick={onClear} className="btn btn-secondary" disabled={running || noSelection}>Clear</button>
+      </div>
+
+      <div className="bulk-bar-row">
+        <button onClick={uploadSelected} className="btn btn-primary" disabled={running || noSelection}>Upload selected</button>
+        <button onClick={downloadSelected} className="btn btn-secondary" disabled={running || noSelection}>Download selected</button>
+        <button onClick={deleteSelected} className="btn btn-danger" disabled={running || noSelection}>Delete selected</button>
+        <button onClick={removeLocalCopies} className="btn btn-secondary" disabled={running}>Delete all uploaded local copies</button>
+      </div>
+
+      <div className="bulk-bar-row">
+        <button onClick={exportSelected} className="btn btn-secondary" disabled={running || noSelection}>Export selected</button>
+        <button onClick={() => importInputRef.current.click()} className="btn btn-secondary" disabled={running}>Import archive</button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".zip,application/zip"
+          onChange={importArchive}
+          hidden
+        />
+      </div>
+
+      {job && job.action !== 'removeLocal' && (
+        <div className="progress-wrapper">
+          <div className="progress-bar-modern">
+            <div className="progress-fill-modern" style={{ width: `${progress}%` }}>
+              <div className="progress-shine"></div>
+            </div>
+          </div>
+          <span className="progress-percentage">{progress}%</span>
+        </div>
+      )}
+
+      {job?.message && <p className="bulk-message">{job.message}</p>}
+
+      {results.length > 0 && (
+        <ul className="bulk-results">
+          {results.map(result => (
+            <li key={result.id} className={`bulk-result ${result.status}`}>
+              <span className="bulk-result-label">{result.label}</span>
+              <span className="bulk-result-status">
+                {STATUS_LABELS[result.status]}
+                {result.status === BulkStatus.PENDING && uploadProgress[result.id] !== undefined && ` ${uploadProgress[result.id]}%`}
+                {result.message && ` · ${result.message}`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {job && !running && (
+        <button onClick={() => setJob(null)} className="btn btn-secondary">Dismiss results</button>
+      )}
+    </div>
+  );
+}
+
+export default BulkActionsBar;
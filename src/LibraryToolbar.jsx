@@ -0,0 +1,135 @@
+import { useState, useEffect } from 'react';
+import { SortField, UploadStatus } from './db';
+
+// Wait for typing to pause before querying
+const SEARCH_DELAY = 300;
+
+export const SORT_OPTIONS = {
+  newest: { label: 'Newest first', sortBy: SortField.CREATED_AT, direction: 'prev' },
+  oldest: { label: 'Oldest first', sortBy: SortField.CREATED_AT, direction: 'next' },
+  largest: { label: 'Largest first', sortBy: SortField.SIZE, direction: 'prev' },
+  smallest: { label: 'Smallest first', sortBy: SortField.SIZE, direction: 'next' },
+  longest: { label: 'Longest first', sortBy: SortField.DURATION, direction: 'prev' },
+  shortest: { label: 'Shortest first', sortBy: SortField.DURATION, direction: 'next' },
+};
+
+export const DEFAULT_LIBRARY_QUERY = {
+  search: '',
+  status: '',
+  tag: '',
+  fromDate: '',
+  toDate: '',
+  sort: 'newest',
+};
+
+/**
+ * Whether any filter (rather than just the sort order) is set
+ */
+export function hasFilters(query) {
+  return Boolean(query.search || query.status || query.tag || query.fromDate || query.toDate);
+}
+
+/**
+ * Turn the toolbar state into `queryVideos` options
+ */
+export function toVideoQuery({ search, status, tag, fromDate, toDate, sort }) {
+  const { sortBy, direction } = SORT_OPTIONS[sort] || SORT_OPTIONS.newest;
+  return {
+    filters: {
+      search,
+      status,
+      tag,
+      // Date inputs are local days; include the whole of the last day
+      from: fromDate ? new Date(`${fromDate}T00:00:00`).getTime() : null,
+      to: toDate ? new Date(`${toDate}T23:59:59.999`).getTime() : null,
+    },
+    sortBy,
+    direction,
+  };
+}
+
+/**
+ * Search box, filters and sort order for the library
+ * @param {Object} props
+ * @param {Object} props.query - Current toolbar state (see DEFAULT_LIBRARY_QUERY)
+ * @param {Function} props.onChange - Called with the updated state
+ * @param {Array<string>} props.tags - Tags available to filter by
+ */
+function LibraryToolbar({ query, onChange, tags }) {
+  const [search, setSearch] = useState(query.search);
+
+  useEffect(() => {
+    if (search === query.search) {
+      return undefined;
+    }
+    const timer = setTimeout(() => onChange({ ...query, search }), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  function update(field, value) {
+    onChange({ ...query, [field]: value });
+  }
+
+  return (
+    <div className="library-toolbar">
+      <input
+        type="search"
+        className="library-search"
+        placeholder="Search titles, notes and tags"
+        value={search}
+        onChange={event => setSearch(event.target.value)}
+      />
+
+      <div className="library-filters">
+        <select value={query.status} onChange={event => update('status', event.target.value)} aria-label="Upload status">
+          <option value="">All videos</option>
+          <option value={UploadStatus.LOCAL}>Local only</option>
+          <option value={UploadStatus.FAILED}>Upload failed</option>
+          <option value={UploadStatus.UPLOADED}>Uploaded</option>
+        </select>
+
+        <select value={query.tag} onChange={event => update('tag', event.target.value)} aria-label="Tag">
+          <option value="">Any tag</option>
+          {tags.map(tag => (
+            <option key={tag} value={tag}>#{tag}</option>
+          ))}
+        </select>
+
+        <input
+          type="date"
+          value={query.fromDate}
+          max={query.toDate || undefined}
+          onChange={event => update('fromDate', event.target.value)}
+          aria-label="Recorded from"
+        />
+        <input
+          type="date"
+          value={query.toDate}
+          min={query.fromDate || undefined}
+          onChange={event => update('toDate', event.target.value)}
+          aria-label="Recorded until"
+        />
+
+        <select value={query.sort} onChange={event => update('sort', event.target.value)} aria-label="Sort by">
+          {Object.entries(SORT_OPTIONS).map(([key, option]) => (
+            <option key={key} value={key}>{option.label}</option>
+          ))}
+        </select>
+
+        {hasFilters(query) && (
+          <button
+            className="btn btn-secondary"
+            onClick={() => {
+              setSearch('');
+              onChange({ ...DEFAULT_LIBRARY_QUERY, sort: query.sort });
+            }}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default LibraryToolbar;
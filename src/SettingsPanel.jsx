@@ -0,0 +1,156 @@
+import { useState, useEffect } from 'react';
+import {
+  RESOLUTIONS,
+  FRAME_RATES,
+  QUALITIES,
+  DURATION_LIMITS,
+  SIZE_LIMITS,
+  LimitAction,
+  listMediaDevices,
+  estimateMinutesUntilLimit,
+} from './recorderSettings';
+
+/**
+ * Camera, microphone and quality settings for the recorder
+ * @param {Object} props
+ * @param {Object} props.settings - Current recorder settings
+ * @param {Function} props.onChange - Called with the updated settings
+ * @param {boolean} props.disabled - Lock the controls (e.g. while recording)
+ * @param {MediaStream|null} props.stream - Active stream; device labels refresh once permission is granted
+ */
+function SettingsPanel({ settings, onChange, disabled, stream }) {
+  const [devices, setDevices] = useState({ cameras: [], microphones: [] });
+
+  useEffect(() => {
+    const refresh = () => listMediaDevices().then(setDevices);
+    refresh();
+
+    navigator.mediaDevices?.addEventListener('devicechange', refresh);
+    return () => navigator.mediaDevices?.removeEventListener('devicechange', refresh);
+  }, [stream]);
+
+  function update(field, value) {
+    onChange({ ...settings, [field]: value });
+  }
+
+  return (
+    <div className="settings-panel">
+      <label className="settings-field">
+        Camera
+        <select
+          value={settings.videoDeviceId}
+          onChange={event => update('videoDeviceId', event.target.value)}
+          disabled={disabled}
+        >
+          <option value="">{settings.facingMode === 'environment' ? 'Rear camera' : 'Front camera'}</option>
+          {devices.cameras.map((device, index) => (
+            <option key={device.deviceId || index} value={device.deviceId}>
+              {device.label || `Camera ${index + 1}`}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="settings-field">
+        Microphone
+        <select
+          value={settings.audioDeviceId}
+          onChange={event => update('audioDeviceId', event.target.value)}
+          disabled={disabled}
+        >
+          <option value="">Default</option>
+          {devices.microphones.map((device, index) => (
+            <option key={device.deviceId || index} value={device.deviceId}>
+              {device.label || `Microphone ${index + 1}`}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="settings-field">
+        Resolution
+        <select
+          value={settings.resolution}
+          onChange={event => update('resolution', event.target.value)}
+          disabled={disabled}
+        >
+          {Object.entries(RESOLUTIONS).map(([key, preset]) => (
+            <option key={key} value={key}>{preset.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="settings-field">
+        Frame rate
+        <select
+          value={settings.frameRate}
+          onChange={event => update('frameRate', Number(event.target.value))}
+          disabled={disabled}
+        >
+          {FRAME_RATES.map(fps => (
+            <option key={fps} value={fps}>{fps} fps</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="settings-field">
+        Quality
+        <select
+          value={settings.quality}
+          onChange={event => update('quality', event.target.value)}
+          disabled={disabled}
+        >
+          {Object.entries(QUALITIES).map(([key, preset]) => (
+            <option key={key} value={key}>
+              {preset.label} ({preset.videoBitsPerSecond / 1_000_000} Mbps)
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="settings-field">
+        Max length
+        <select
+          value={settings.maxDurationMinutes}
+          onChange={event => update('maxDurationMinutes', Number(event.target.value))}
+          disabled={disabled}
+        >
+          {DURATION_LIMITS.map(minutes => (
+            <option key={minutes} value={minutes}>{minutes ? `${minutes} min` : 'No limit'}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="settings-field">
+        Max size
+        <select
+          value={settings.maxSizeMB}
+          onChange={event => update('maxSizeMB', Number(event.target.value))}
+          disabled={disabled}
+        >
+          {SIZE_LIMITS.map(size => (
+            <option key={size} value={size}>{size ? `${size} MB` : 'Upload limit'}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="settings-field">
+        At the limit
+        <select
+          value={settings.limitAction}
+          onChange={event => update('limitAction', event.target.value)}
+          disabled={disabled}
+        >
+          <option value={LimitAction.STOP}>Stop recording</option>
+          <option value={LimitAction.SPLIT}>Continue in a new clip</option>
+        </select>
+      </label>
+
+      <p className="settings-hint">
+        About {estimateMinutesUntilLimit(settings)} min of video fits under the upload size limit.
+      </p>
+    </div>
+  );
+}
+
+export default SettingsPanel;
@@ -0,0 +1,84 @@
+import { useState, useEffect } from 'react';
+import { formatBytes } from './uploadUtils';
+import {
+  getStorageEstimate,
+  isLowOnSpace,
+  getStorageSettings,
+  saveStorageSettings,
+  evictUploadedBlobs,
+} from './storage';
+import { showToast, ToastType } from './toasts';
+
+const EVICTION_OPTIONS = [
+  { days: 0, label: 'Never' },
+  { days: 1, label: 'After 1 day' },
+  { days: 7, label: 'After 7 days' },
+  { days: 30, label: 'After 30 days' },
+];
+
+/**
+ * Shows storage usage and the auto-cleanup setting for uploaded videos
+ * @param {Object} props
+ * @param {*} props.refreshKey - Re-estimate usage whenever this changes (e.g. the library size)
+ * @param {Function} props.onEvicted - Called after local copies were removed
+ */
+function StoragePanel({ refreshKey, onEvicted }) {
+  const [estimate, setEstimate] = useState(null);
+  const [settings, setSettings] = useState(getStorageSettings);
+
+  useEffect(() => {
+    getStorageEstimate().then(setEstimate);
+  }, [refreshKey]);
+
+  async function handleEvictionChange(event) {
+    const newSettings = { ...settings, evictUploadedAfterDays: Number(event.target.value) };
+    setSettings(newSettings);
+    saveStorageSettings(newSettings);
+
+    try {
+      if (await evictUploadedBlobs(newSettings) > 0) {
+        onEvicted();
+      }
+    } catch (error) {
+      console.error('Failed to remove local copies:', error);
+      showToast(`Could not remove local copies: ${error.message}`, { type: ToastType.ERROR });
+    }
+  }
+
+  if (!estimate) {
+    return null;
+  }
+
+  const usedPercent = estimate.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : 0;
+  const low = isLowOnSpace(estimate);
+
+  return (
+    <div className={`storage-panel ${low ? 'low' : ''}`}>
+      <div className="storage-header">
+        <span>Storage</span>
+        <span className="storage-numbers">
+          {formatBytes(estimate.usage)} used · {formatBytes(estimate.available)} free
+        </span>
+      </div>
+      <div className="progress-bar-modern">
+        <div className="progress-fill-modern storage-fill" style={{ width: `${usedPercent}%` }} />
+      </div>
+      {low && (
+        <p className="storage-warning">Space is running low. New recordings may fail to save.</p>
+      )}
+      {!estimate.persisted && (
+        <p className="storage-note">The browser may clear recordings under storage pressure.</p>
+      )}
+      <label className="storage-setting">
+        Remove local copies of uploaded videos
+        <select value={settings.evictUploadedAfterDays} onChange={handleEvictionChange}>
+          {EVICTION_OPTIONS.map(option => (
+            <option key={option.days} value={option.days}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+export default StoragePanel;
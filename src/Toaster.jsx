@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react';
+import { subscribe, dismissToast, ToastType } from './toasts';
+
+/**
+ * Shows the toasts from `showToast` in a stack at the bottom of the screen
+ */
+function Toaster() {
+  const [toasts, setToasts] = useState([]);
+
+  useEffect(() => subscribe(setToasts), []);
+
+  if (toasts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="toaster">
+      {toasts.map(toast => (
+        <div
+          key={toast.id}
+          className={`toast ${toast.type}`}
+          role={toast.type === ToastType.ERROR ? 'alert' : 'status'}
+        >
+          <span>{toast.message}</span>
+          <button onClick={() => dismissToast(toast.id)} className="toast-dismiss" aria-label="Dismiss">
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default Toaster;
@@ -0,0 +1,55 @@
+import { useRegisterSW } from 'virtual:pwa-register/react';
+
+// Check for a new deployment every hour while the app stays open
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Registers the service worker and offers to reload when a new build is deployed
+ */
+function UpdatePrompt() {
+  const {
+    needRefresh: [needRefresh, setNeedRefresh],
+    offlineReady: [offlineReady, setOfflineReady],
+    updateServiceWorker,
+  } = useRegisterSW({
+    onRegisteredSW(swUrl, registration) {
+      if (registration) {
+        setInterval(() => registration.update(), UPDATE_CHECK_INTERVAL);
+      }
+    },
+    onRegisterError(error) {
+      console.error('Service worker registration failed:', error);
+    },
+  });
+
+  function close() {
+    setNeedRefresh(false);
+    setOfflineReady(false);
+  }
+
+  if (!needRefresh && !offlineReady) {
+    return null;
+  }
+
+  return (
+    <div className="update-prompt" role="alert">
+      <span>
+        {needRefresh
+          ? 'A new version of VideoVault is available.'
+          : 'VideoVault is ready to work offline.'}
+      </span>
+      <div className="update-prompt-actions">
+        {needRefresh && (
+          <button onClick={() => updateServiceWorker(true)} className="btn btn-primary">
+            Reload
+          </button>
+        )}
+        <button onClick={close} className="btn btn-secondary">
+          {needRefresh ? 'Later' : 'OK'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default UpdatePrompt;
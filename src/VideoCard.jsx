@@ -0,0 +1,402 @@
+import { useState, useEffect } from 'react';
+import { updateVideo } from './db';
+import { QueueState } from './uploadQueue';
+import { findUploadProvider } from './uploadProviders';
+import { formatBytes, MAX_FILE_SIZE } from './uploadUtils';
+import { canPlayMimeType } from './codecs';
+import { downloadBlob, getVideoFilename } from './download';
+import { createThumbnail } from './videoEditing';
+import { needsCompression } from './compression';
+import { formatTime, formatDate } from './format';
+import { describeUploadError } from './uploadErrors';
+import { verifyRemoteCopy } from './remoteCopy';
+import { useObjectURL } from './useObjectURL';
+import VideoDetailsForm from './VideoDetailsForm';
+
+// Cards without a poster create one in the background, one video at a time
+let thumbnailQueue = Promise.resolve();
+
+/**
+ * One video in the library. Shows the poster thumbnail and only loads the video itself when played.
+ * @param {Object} props
+ * @param {Object} props.video - Video record
+ * @param {Object} [props.queueItem] - Upload queue item for the video
+ * @param {number} [props.uploadProgress] - Upload progress (0-100) while uploading
+ * @param {Object} [props.compression] - `{ progress, error }` while or after compressing
+ * @param {boolean} props.online - Whether the browser is online
+ * @param {Function} props.onUpload - Called with the video id
+ * @param {Function} props.onCancelUpload - Called with the video id to stop its upload for good
+ * @param {Function} props.onPauseUpload - Called with the video id to pause its upload
+ * @param {Function} props.onResumeUpload - Called with the video id to resume its paused upload
+ * @param {Function} props.onCompress - Called with the video to compress and upload
+ * @param {Function} props.onEdit - Called with the video to open in the editor
+ * @param {Function} props.onDelete - Called with the video id
+ * @param {Function} props.onTagClick - Called with a tag to filter the library by it
+ * @param {Function} props.onChange - Called with the updated record after the card changed it (e.g. added a thumbnail or verified the upload)
+ * @param {boolean} [props.selectable] - Show a checkbox for bulk actions
+ * @param {boolean} [props.selected] - Whether the video is selected
+ * @param {Function} [props.onSelect] - Called with the video id and whether it is now selected
+ */
+function VideoCard({ video, queueItem, uploadProgress, compression, online, onUpload, onCancelUpload, onPauseUpload, onResumeUpload, onCompress, onEdit, onDelete, onTagClick, onChange, selectable, selected, onSelect }) {
+  const [playing, setPlaying] = useState(false);
+  const [editingDetails, setEditingDetails] = useState(false);
+  const [verification, setVerification] = useState(null); // { verified, message } of the last check, or 'checking'
+  const thumbnailUrl = useObjectURL(video.thumbnail);
+  // The video's own URL only exists while it is playing
+  const videoUrl = useObjectURL(playing ? video.blob : null);
+  const queued = queueItem?.state === QueueState.QUEUED
+    || queueItem?.state === QueueState.UPLOADING
+    || queueItem?.state === QueueState.PAUSED;
+  // Anything the queue would still upload on its own, including pending retries
+  const cancellable = queued || (queueItem?.state === QueueState.FAILED && queueItem.nextRetryAt !== null);
+
+  useEffect(() => {
+    if (video.thumbnail || !video.blob) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    thumbnailQueue = thumbnailQueue
+      .then(async () => {
+        if (cancelled) {
+          return;
+        }
+        const thumbnail = await createThumbnail(video.blob);
+        const updated = await updateVideo(video.id, { thumbnail });
+        if (updated && !cancelled) {
+          onChange(updated);
+        }
+      })
+      .catch(error => console.warn(`Failed to create thumbnail for ${video.id}:`, error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [video.id, video.thumbnail, video.blob]);
+
+  async function verifyUpload() {
+    setVerification('checking');
+    try {
+      const result = await verifyRemoteCopy(video);
+      setVerification(result);
+      if (result.verified) {
+        onChange(result.video);
+      }
+    } catch (error) {
+      setVerification({ verified: false, message: error.message });
+    }
+  }
+
+  return (
+    <div className={`video-card ${selected ? 'selected' : ''}`}>
+      <div className="video-preview-wrapper">
+        {playing ? (
+          <video
+            src={video.blob ? videoUrl : video.remoteUrl}
+            controls
+            autoPlay
+            className="video-player"
+          />
+        ) : (
+          <button className="video-poster" onClick={() => setPlaying(true)} title="Play">
+            {thumbnailUrl ? (
+              <img src={thumbnailUrl} alt={video.title || 'Video thumbnail'} className="video-player" />
+            ) : (
+              <span className="video-poster-placeholder" />
+            )}
+            <svg className="video-poster-play" width="48" height="48" viewBox="0 0 48 48" fill="none">
+              <circle cx="24" cy="24" r="24" fill="black" opacity="0.5"/>
+              <path d="M19 15 L35 24 L19 33 Z" fill="white"/>
+            </svg>
+          </button>
+        )}
+        {video.blob && !canPlayMimeType(video.mimeType) && (
+          <p className="video-unsupported">
+            This browser can't play {video.extension.toUpperCase()} recordings. Download it to watch.
+          </p>
+        )}
+        {selectable && (
+          <label className="video-select" title="Select for bulk actions">
+            <input
+              type="checkbox"
+              checked={Boolean(selected)}
+              onChange={event => onSelect(video.id, event.target.checked)}
+            />
+          </label>
+        )}
+        <div className="video-overlay">
+          <div className={`status-badge-small ${video.uploaded ? 'success' : video.recovered ? 'recovered' : 'pending'}`}>
+            {video.uploaded ? (
+              <>
+                <svg width="12" height="12" viewBox="0 0 12 12" fill="currentColor">
+                  <path d="M2 6 L5 9 L10 3" stroke="currentColor" fill="none" strokeWidth="2" strokeLinecap="round"/>
+                </svg>
+                Uploaded
+              </>
+            ) : video.recovered ? (
+              <>
+                <svg width="12" height="12" viewBox="0 0 12 12" fill="currentColor">
+                  <path d="M10 6 A4 4 0 1 1 8.5 2.9 M8.5 1 L8.5 3 L6.5 3" stroke="currentColor" fill="none" strokeWidth="1.5" strokeLinecap="round"/>
+                </svg>
+                Recovered
+              </>
+            ) : (
+              <>
+                <svg width="12" height="12" viewBox="0 0 12 12" fill="currentColor">
+                  <circle cx="6" cy="6" r="5" fill="none" stroke="currentColor" strokeWidth="1.5"/>
+                </svg>
+                Local
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+      
+      <div className="video-details">
+        {editingDetails ? (
+          <VideoDetailsForm
+            video={video}
+            onSaved={(updated) => {
+              setEditingDetails(false);
+              onChange(updated);
+            }}
+            onCancel={() => setEditingDetails(false)}
+          />
+        ) : (
+          <div className="video-info">
+            <h3 className={`video-title ${video.title ? '' : 'untitled'}`}>{video.title || 'Untitled'}</h3>
+            {video.notes && <p className="video-notes">{video.notes}</p>}
+            {video.tags.length > 0 && (
+              <div className="video-tags">
+                {video.tags.map(tag => (
+                  <button key={tag} className="video-tag" onClick={() => onTagClick(tag)} title={`Show videos tagged ${tag}`}>
+                    #{tag}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="video-meta">
+          <span className="video-date">
+            <svg width="14" height="14" viewBox="0 0 14 14" fill="currentColor">
+              <circle cx="7" cy="7" r="6" fill="none" stroke="currentColor" strokeWidth="1.2"/>
+              <path d="M7 3 L7 7 L10 7" stroke="currentColor" strokeWidth="1.2" fill="none" strokeLinecap="round"/>
+            </svg>
+            {formatDate(video.createdAt)}
+          </span>
+          <span className="video-size">
+            <svg width="14" height="14" viewBox="0 0 14 14" fill="currentColor">
+              <rect x="3" y="3" width="8" height="8" rx="1" fill="none" stroke="currentColor" strokeWidth="1.2"/>
+            </svg>
+            {(video.size / (1024 * 1024)).toFixed(2)} MB
+            {!video.blob && ' (cloud only)'}
+            {video.duration !== null && ` · ${formatTime(Math.round(video.duration))}`}
+            {video.width && video.height && ` · ${video.width}×${video.height}`}
+          </span>
+          {video.remoteUrl && (
+            <span className="video-remote-row">
+              <a className="video-remote" href={video.remoteUrl} target="_blank" rel="noreferrer">
+                View on {findUploadProvider(video.provider)?.label || 'cloud'}
+              </a>
+              <button
+                onClick={verifyUpload}
+                className="video-verify"
+                disabled={verification === 'checking'}
+                title="Check that the cloud copy still exists and matches what was uploaded"
+              >
+                {verification === 'checking' ? 'Checking...' : 'Verify'}
+              </button>
+              {video.verifiedAt && verification?.verified !== false && (
+                <span className="video-verified">Verified {formatDate(video.verifiedAt)}</span>
+              )}
+            </span>
+          )}
+        </div>
+
+        {verification?.verified === false && (
+          <p className="upload-error">{verification.message}</p>
+        )}
+        
+        {/* Upload Progress Bar */}
+        {uploadProgress !== undefined && (
+          <div className="progress-wrapper">
+            <div className="progress-bar-modern">
+              <div 
+                className="progress-fill-modern" 
+                style={{ width: `${uploadProgress}%` }}
+              >
+                <div className="progress-shine"></div>
+              </div>
+            </div>
+            <span className="progress-percentage">
+              {queueItem?.state === QueueState.PAUSED ? `Paused at ${uploadProgress}%` : `${uploadProgress}%`}
+            </span>
+          </div>
+        )}
+
+        {cancellable && (
+          <div className="upload-controls">
+            {queueItem.canPause && queueItem.state === QueueState.UPLOADING && (
+              <button onClick={() => onPauseUpload(video.id)} className="btn btn-secondary">Pause</button>
+            )}
+            {queueItem.state === QueueState.PAUSED && (
+              <button onClick={() => onResumeUpload(video.id)} className="btn btn-secondary">Resume</button>
+            )}
+            <button onClick={() => onCancelUpload(video.id)} className="btn btn-secondary">Cancel upload</button>
+          </div>
+        )}
+
+        {compression?.progress != null && (
+          <div className="progress-wrapper">
+            <div className="progress-bar-modern">
+              <div
+                className="progress-fill-modern"
+                style={{ width: `${compression.progress}%` }}
+              >
+                <div className="progress-shine"></div>
+              </div>
+            </div>
+            <span className="progress-percentage">Compressing {compression.progress}%</span>
+          </div>
+        )}
+
+        {compression?.error && (
+          <p className="upload-error">{compression.error}</p>
+        )}
+
+        {queueItem?.state === QueueState.FAILED && (
+          <p className="upload-error">
+            {describeUploadError(queueItem.lastError)}
+            {queueItem.nextRetryAt
+              ? ` · retrying at ${new Date(queueItem.nextRetryAt).toLocaleTimeString()}`
+              : ' · not retried automatically'}
+          </p>
+        )}
+
+        {video.uploadErrors?.length > 0 && (
+          <details className="upload-history">
+            <summary>Upload errors ({video.uploadErrors.length})</summary>
+            <ul>
+              {[...video.uploadErrors].reverse().map((error, index) => (
+                <li key={`${error.at}-${index}`}>
+                  <span className="upload-history-time">{error.at ? formatDate(error.at) : 'Earlier'}</span>
+                  {' '}{describeUploadError(error)}
+                  <span className="upload-history-code">
+                    {' '}{[error.code, error.provider, error.attempt && `attempt ${error.attempt}`].filter(Boolean).join(' · ')}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+        
+        <div className="video-actions">
+          {!video.uploaded && needsCompression(video.blob) && !queued ? (
+            <button
+              onClick={() => onCompress(video)}
+              disabled={compression?.progress != null}
+              className="btn btn-upload"
+              title={`Over the ${formatBytes(MAX_FILE_SIZE)} upload limit; compress to 720p H.264 first`}
+            >
+              <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+                <path d="M8 1 L8 6 M5 4 L8 6 L11 4 M8 15 L8 10 M5 12 L8 10 L11 12 M2 8 L14 8" stroke="currentColor" fill="none" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+              {compression?.progress != null ? 'Compressing...' : 'Compress & Upload'}
+            </button>
+          ) : !video.uploaded && (
+            <button
+              onClick={() => onUpload(video.id)}
+              disabled={queued}
+              className="btn btn-upload"
+              title={!online ? 'Will upload automatically when back online' : ''}
+            >
+              {queueItem?.state === QueueState.UPLOADING ? (
+                <>
+                  <svg className="spinner" width="16" height="16" viewBox="0 0 16 16" fill="none">
+                    <circle cx="8" cy="8" r="6" stroke="currentColor" strokeWidth="2" opacity="0.3"/>
+                    <path d="M8 2 A6 6 0 0 1 14 8" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                  </svg>
+                  Uploading...
+                </>
+              ) : queueItem?.state === QueueState.PAUSED ? (
+                <>
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+                    <rect x="4" y="3" width="2.5" height="10" rx="1"/>
+                    <rect x="9.5" y="3" width="2.5" height="10" rx="1"/>
+                  </svg>
+                  Paused
+                </>
+              ) : queueItem?.state === QueueState.QUEUED ? (
+                <>
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+                    <circle cx="8" cy="8" r="6" fill="none" stroke="currentColor" strokeWidth="1.5"/>
+                    <path d="M8 5 L8 8 L10 9" stroke="currentColor" fill="none" strokeWidth="1.5" strokeLinecap="round"/>
+                  </svg>
+                  {online ? 'Queued' : 'Waiting for connection'}
+                </>
+              ) : (
+                <>
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+                    <path d="M8 2 L8 10 M5 7 L8 2 L11 7" stroke="currentColor" fill="none" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
+                    <path d="M3 12 L13 12" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/>
+                  </svg>
+                  {queueItem?.state === QueueState.FAILED
+                    ? 'Retry Upload'
+                    : video.uploadState ? 'Resume Upload' : 'Upload to Cloud'}
+                </>
+              )}
+            </button>
+          )}
+          <button
+            onClick={() => setEditingDetails(true)}
+            className="btn btn-download-icon"
+            disabled={editingDetails}
+            title="Edit title, notes and tags"
+          >
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+              <path d="M10.5 2.5 L13.5 5.5 L6 13 L2.5 13.5 L3 10 Z" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round"/>
+            </svg>
+          </button>
+          {video.blob && (
+            <button
+              onClick={() => onEdit(video)}
+              className="btn btn-download-icon"
+              title="Trim or set thumbnail"
+            >
+              <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                <circle cx="4" cy="4" r="2" stroke="currentColor" strokeWidth="1.5"/>
+                <circle cx="4" cy="12" r="2" stroke="currentColor" strokeWidth="1.5"/>
+                <path d="M5.5 5.5 L13 13 M5.5 10.5 L13 3" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/>
+              </svg>
+            </button>
+          )}
+          {video.blob && (
+            <button
+              onClick={() => downloadBlob(video.blob, getVideoFilename(video))}
+              className="btn btn-download-icon"
+              title={`Download (.${video.extension})`}
+            >
+              <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+                <path d="M8 2 L8 10 M5 7 L8 10 L11 7" stroke="currentColor" fill="none" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
+                <path d="M3 13 L13 13" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/>
+              </svg>
+            </button>
+          )}
+          <button
+            onClick={() => onDelete(video.id)}
+            className="btn btn-delete-icon"
+            title={queued ? 'Cancel the upload and delete the video' : 'Delete video'}
+          >
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+              <path d="M3 5 L13 5 M5 5 L5 13 L11 13 L11 5 M6 2 L10 2" stroke="currentColor" fill="none" strokeWidth="1.5" strokeLinecap="round"/>
+            </svg>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VideoCard;
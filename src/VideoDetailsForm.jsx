@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { updateVideo } from './db';
+import { showToast, ToastType } from './toasts';
+
+/**
+ * Edit the title, notes and tags of a video
+ * @param {Object} props
+ * @param {Object} props.video - Video record
+ * @param {Function} props.onSaved - Called with the updated record
+ * @param {Function} props.onCancel - Close without saving
+ */
+function VideoDetailsForm({ video, onSaved, onCancel }) {
+  const [title, setTitle] = useState(video.title);
+  const [notes, setNotes] = useState(video.notes || '');
+  const [tags, setTags] = useState(video.tags.join(', '));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const updated = await updateVideo(video.id, {
+        title: title.trim(),
+        notes: notes.trim(),
+        tags: tags.split(','),
+      });
+      // Deleted meanwhile, e.g. from another tab: there is nothing left to edit
+      if (!updated) {
+        showToast('Could not save: this video was deleted', { type: ToastType.ERROR });
+        onCancel();
+        return;
+      }
+      onSaved(updated);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form className="details-form" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        placeholder="Title"
+        value={title}
+        onChange={event => setTitle(event.target.value)}
+        autoFocus
+      />
+      <textarea
+        placeholder="Notes"
+        rows={3}
+        value={notes}
+        onChange={event => setNotes(event.target.value)}
+      />
+      <input
+        type="text"
+        placeholder="Tags, separated by commas"
+        value={tags}
+        onChange={event => setTags(event.target.value)}
+      />
+      {error && <p className="upload-error">{error}</p>}
+      <div className="details-actions">
+        <button type="button" onClick={onCancel} className="btn btn-secondary" disabled={saving}>Cancel</button>
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default VideoDetailsForm;
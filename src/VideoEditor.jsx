@@ -0,0 +1,172 @@
+import { useState, useRef } from 'react';
+import { saveVideo, updateVideo } from './db';
+import { captureFrame, createThumbnail, trimVideo } from './videoEditing';
+import { useObjectURL } from './useObjectURL';
+
+/**
+ * Format seconds as m:ss.t for the in/out points
+ */
+function formatPoint(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = (seconds % 60).toFixed(1).padStart(4, '0');
+  return `${mins}:${secs}`;
+}
+
+/**
+ * Trim a saved video into a new copy and pick its poster thumbnail
+ * @param {Object} props
+ * @param {Object} props.video - Video record (must have a local blob)
+ * @param {Function} props.onClose - Close the editor
+ * @param {Function} props.onSaved - Called after the thumbnail or a trimmed copy was saved
+ */
+function VideoEditor({ video, onClose, onSaved }) {
+  const playerRef = useRef(null);
+  const url = useObjectURL(video.blob);
+  const [duration, setDuration] = useState(video.duration || 0);
+  const [inPoint, setInPoint] = useState(0);
+  const [outPoint, setOutPoint] = useState(video.duration || 0);
+  const [busy, setBusy] = useState(null); // 'thumbnail' | 'trim'
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+
+  function handleLoadedMetadata() {
+    // Recordings without duration metadata report Infinity; fall back to the recorded duration
+    const playerDuration = playerRef.current.duration;
+    if (Number.isFinite(playerDuration)) {
+      setDuration(playerDuration);
+      setOutPoint(playerDuration);
+    }
+  }
+
+  function seekTo(time) {
+    playerRef.current.currentTime = time;
+  }
+
+  function markIn() {
+    setInPoint(Math.min(playerRef.current.currentTime, outPoint));
+  }
+
+  function markOut() {
+    setOutPoint(Math.max(playerRef.current.currentTime, inPoint));
+  }
+
+  async function saveThumbnail() {
+    setBusy('thumbnail');
+    setError(null);
+    try {
+      await updateVideo(video.id, { thumbnail: await captureFrame(playerRef.current) });
+      onSaved();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function saveTrimmedCopy() {
+    setBusy('trim');
+    setProgress(0);
+    setError(null);
+    playerRef.current.pause();
+    try {
+      const trimmed = await trimVideo(video.blob, inPoint, outPoint, { onProgress: setProgress });
+      const thumbnail = await createThumbnail(trimmed).catch(() => null);
+      await saveVideo(trimmed, {
+        metadata: {
+          mimeType: trimmed.type,
+          duration: outPoint - inPoint,
+          width: video.width,
+          height: video.height,
+          title: `${video.title || 'Recording'} (trimmed)`,
+          tags: video.tags,
+          sourceId: video.id,
+          thumbnail,
+        },
+      });
+      onSaved();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  const trimmedAway = inPoint > 0 || outPoint < duration;
+
+  return (
+    <div className="editor-backdrop" onClick={busy ? undefined : onClose}>
+      <div className="editor glass-card" role="dialog" aria-label="Edit video" onClick={event => event.stopPropagation()}>
+        <h2 className="section-title">Edit video</h2>
+
+        {url && (
+          <video
+            ref={playerRef}
+            src={url}
+            controls
+            playsInline
+            className="editor-player"
+            onLoadedMetadata={handleLoadedMetadata}
+          />
+        )}
+
+        <div className="editor-range">
+          <label className="settings-field">
+            In {formatPoint(inPoint)}
+            <input
+              type="range"
+              min={0}
+              max={duration}
+              step={0.1}
+              value={inPoint}
+              onChange={(event) => {
+                const time = Math.min(Number(event.target.value), outPoint);
+                setInPoint(time);
+                seekTo(time);
+              }}
+              disabled={Boolean(busy)}
+            />
+          </label>
+          <label className="settings-field">
+            Out {formatPoint(outPoint)}
+            <input
+              type="range"
+              min={0}
+              max={duration}
+              step={0.1}
+              value={outPoint}
+              onChange={(event) => {
+                const time = Math.max(Number(event.target.value), inPoint);
+                setOutPoint(time);
+                seekTo(time);
+              }}
+              disabled={Boolean(busy)}
+            />
+          </label>
+        </div>
+
+        <div className="editor-actions">
+          <button onClick={markIn} className="btn btn-secondary" disabled={Boolean(busy)}>Set in here</button>
+          <button onClick={markOut} className="btn btn-secondary" disabled={Boolean(busy)}>Set out here</button>
+          <button onClick={saveThumbnail} className="btn btn-secondary" disabled={Boolean(busy)}>
+            {busy === 'thumbnail' ? 'Saving...' : 'Use frame as thumbnail'}
+          </button>
+        </div>
+
+        {busy === 'trim' && (
+          <p className="settings-hint">Trimming plays the selection back in real time… {progress}%</p>
+        )}
+        {error && <p className="upload-error">{error}</p>}
+
+        <div className="editor-actions">
+          <button onClick={onClose} className="btn btn-secondary" disabled={Boolean(busy)}>Close</button>
+          <button onClick={saveTrimmedCopy} className="btn btn-primary" disabled={Boolean(busy) || !trimmedAway}>
+            Save trimmed copy ({formatPoint(outPoint - inPoint)})
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VideoEditor;
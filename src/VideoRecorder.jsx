@@ -0,0 +1,183 @@
+import { useState } from 'react';
+import { useMediaRecorder } from './useMediaRecorder';
+import SettingsPanel from './SettingsPanel';
+import { formatTime } from './format';
+import { CaptureMode, CAPTURE_MODE_LABELS } from './recorderSettings';
+import { isScreenCaptureSupported } from './screenCapture';
+
+/**
+ * Offline-safe recorder: preview, capture mode picker, recording controls and settings
+ * Clips are saved to IndexedDB as they are recorded and uploaded by the background queue (see useMediaRecorder).
+ * @param {Object} props
+ * @param {Function} [props.onSaved] - Called with the video record after each clip is saved
+ * @param {Function} [props.onUploaded] - Called with the video record once a clip recorded here is uploaded
+ * @param {Function} [props.onRecovered] - Called with the video records recovered from interrupted recordings
+ * @param {Function} [props.onError] - Called with errors the recorder does not show itself
+ * @param {boolean} [props.autoUpload=true] - Queue each saved clip for upload
+ * @param {Object} [props.uploadConfig] - Provider settings for the upload queue (see uploadConfig.js)
+ * @param {string} [props.title='Record Video'] - Heading above the preview
+ * @param {React.ReactNode} [props.children] - Rendered below the recorder
+ */
+function VideoRecorder({ onSaved, onUploaded, onRecovered, onError, autoUpload = true, uploadConfig, title = 'Record Video', children }) {
+  const recorder = useMediaRecorder({ onSaved, onUploaded, onRecovered, onError, autoUpload, uploadConfig });
+  const { stream, settings, captureMode, recording, paused, recordingTime, error, limitNotice, unsavedRecording } = recorder;
+  const [showSettings, setShowSettings] = useState(false);
+
+  function toggleSettings() {
+    setShowSettings(!showSettings);
+    // Preview while adjusting settings so the effect of each change is visible
+    if (!showSettings && !stream && captureMode === CaptureMode.CAMERA) {
+      recorder.startPreview();
+    }
+  }
+
+  return (
+    <div className="video-recorder">
+      <div className="card-header">
+        <h2 className="section-title">
+          <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+            <circle cx="10" cy="10" r="8" fill="currentColor" opacity="0.2"/>
+            <circle cx="10" cy="10" r="4" fill="currentColor"/>
+          </svg>
+          {title}
+        </h2>
+        {recording ? (
+          <div className={`recording-indicator ${paused ? 'paused' : ''}`}>
+            <span className="rec-dot"></span>
+            <span className="rec-time">{formatTime(recordingTime)}</span>
+          </div>
+        ) : (
+          <button
+            onClick={toggleSettings}
+            className={`btn btn-icon ${showSettings ? 'active' : ''}`}
+            title="Camera and quality settings"
+          >
+            <svg width="18" height="18" viewBox="0 0 18 18" fill="none">
+              <circle cx="9" cy="9" r="2.5" stroke="currentColor" strokeWidth="1.5"/>
+              <path d="M9 1.5 V3.5 M9 14.5 V16.5 M1.5 9 H3.5 M14.5 9 H16.5 M3.7 3.7 L5.1 5.1 M12.9 12.9 L14.3 14.3 M3.7 14.3 L5.1 12.9 M12.9 5.1 L14.3 3.7" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/>
+            </svg>
+          </button>
+        )}
+      </div>
+
+      {isScreenCaptureSupported() && (
+        <div className="capture-modes" role="radiogroup" aria-label="What to record">
+          {Object.entries(CAPTURE_MODE_LABELS).map(([mode, label]) => (
+            <button
+              key={mode}
+              role="radio"
+              aria-checked={captureMode === mode}
+              onClick={() => recorder.changeCaptureMode(mode)}
+              className={`capture-mode ${captureMode === mode ? 'active' : ''}`}
+              disabled={recording}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="video-container">
+        <video
+          ref={recorder.videoRef}
+          autoPlay
+          playsInline
+          muted
+          className={`preview ${captureMode !== CaptureMode.CAMERA ? 'screen' : ''} ${recording ? 'recording' : ''}`}
+        />
+        {stream && !recording && captureMode === CaptureMode.CAMERA && (
+          <button onClick={recorder.flipCamera} className="btn btn-flip" title="Switch between front and rear camera">
+            <svg width="18" height="18" viewBox="0 0 18 18" fill="none">
+              <path d="M3 7 A6 6 0 0 1 14 5 M15 11 A6 6 0 0 1 4 13" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/>
+              <path d="M14 2 V5 H11 M4 16 V13 H7" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
+            </svg>
+          </button>
+        )}
+        {!stream && !error && (
+          <div className="video-placeholder">
+            <svg width="64" height="64" viewBox="0 0 64 64" fill="none">
+              <circle cx="32" cy="32" r="32" fill="currentColor" opacity="0.1"/>
+              <path d="M24 20 L24 44 L44 32 Z" fill="currentColor" opacity="0.3"/>
+            </svg>
+            <p>Ready to record</p>
+          </div>
+        )}
+        {error && (
+          <div className="error-placeholder">
+            <svg width="48" height="48" viewBox="0 0 48 48" fill="none">
+              <circle cx="24" cy="24" r="24" fill="currentColor" opacity="0.1"/>
+              <path d="M24 16 L24 28 M24 32 L24 34" stroke="currentColor" strokeWidth="3" strokeLinecap="round"/>
+            </svg>
+            <p>{captureMode === CaptureMode.CAMERA ? 'Camera access denied' : 'Screen recording unavailable'}</p>
+            <span>{error}</span>
+          </div>
+        )}
+      </div>
+
+      <div className="controls">
+        {!recording ? (
+          <button onClick={recorder.startRecording} className="btn btn-primary btn-large">
+            <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+              <circle cx="10" cy="10" r="8"/>
+            </svg>
+            Start Recording
+          </button>
+        ) : (
+          <>
+            {paused ? (
+              <button onClick={recorder.resumeRecording} className="btn btn-secondary btn-large">
+                <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+                  <path d="M6 4 L16 10 L6 16 Z"/>
+                </svg>
+                Resume
+              </button>
+            ) : (
+              <button onClick={recorder.pauseRecording} className="btn btn-secondary btn-large">
+                <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+                  <rect x="5" y="4" width="3.5" height="12" rx="1"/>
+                  <rect x="11.5" y="4" width="3.5" height="12" rx="1"/>
+                </svg>
+                Pause
+              </button>
+            )}
+            <button onClick={recorder.stopRecording} className="btn btn-danger btn-large">
+              <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
+                <rect x="5" y="5" width="10" height="10" rx="2"/>
+              </svg>
+              Stop Recording
+            </button>
+          </>
+        )}
+      </div>
+
+      {limitNotice && <p className="limit-notice">{limitNotice}</p>}
+
+      {showSettings && (
+        <SettingsPanel
+          settings={settings}
+          onChange={recorder.changeSettings}
+          disabled={recording}
+          stream={stream}
+        />
+      )}
+
+      {unsavedRecording && (
+        <div className="unsaved-banner" role="alert">
+          <p>
+            <strong>Recording not saved:</strong> {unsavedRecording.reason}.
+            It is still in memory; download it or free up space and retry.
+          </p>
+          <div className="unsaved-actions">
+            <button onClick={recorder.downloadUnsavedRecording} className="btn btn-primary">Download</button>
+            <button onClick={recorder.retrySave} className="btn btn-secondary">Retry Save</button>
+            <button onClick={recorder.dismissUnsavedRecording} className="btn btn-secondary">Dismiss</button>
+          </div>
+        </div>
+      )}
+
+      {children}
+    </div>
+  );
+}
+
+export default VideoRecorder;
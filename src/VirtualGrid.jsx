@@ -0,0 +1,145 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Rows kept mounted above and below the viewport (px)
+const OVERSCAN = 800;
+
+/**
+ * One grid row; reports its height to the shared ResizeObserver while mounted
+ */
+function GridRow({ index, observer, columns, gap, children }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const element = ref.current;
+    observer.observe(element);
+    return () => observer.unobserve(element);
+  }, [observer]);
+
+  return (
+    <div
+      ref={ref}
+      data-row={index}
+      className="virtual-grid-row"
+      style={{ gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`, gap }}
+    >
+      {children}
+    </div>
+  );
+}
+
+/**
+ * Windowed grid that only mounts the rows near the viewport.
+ * Scrolls with the page; rows are measured as they render, so cells may differ in height.
+ * @param {Object} props
+ * @param {Array} props.items - Items to lay out
+ * @param {Function} props.getKey - Stable key for an item
+ * @param {Function} props.renderItem - Renders one cell
+ * @param {number} props.minColumnWidth - As many columns as fit at this width (like `repeat(auto-fill, minmax())`)
+ * @param {number} props.gap - Space between rows and columns (px)
+ * @param {number} props.estimatedRowHeight - Height assumed for rows that have not been measured yet
+ * @param {Function} [props.onEndReached] - Called when the last row comes near the viewport
+ */
+function VirtualGrid({ items, getKey, renderItem, minColumnWidth, gap, estimatedRowHeight, onEndReached }) {
+  const containerRef = useRef(null);
+  const rowHeightsRef = useRef(new Map()); // row index -> measured height
+  const [, setMeasured] = useState(0);
+  const [width, setWidth] = useState(0);
+  const [viewport, setViewport] = useState({ top: 0, bottom: window.innerHeight });
+  const [rowObserver] = useState(() => new ResizeObserver((entries) => {
+    let changed = false;
+    entries.forEach((entry) => {
+      const index = Number(entry.target.dataset.row);
+      const height = entry.target.offsetHeight;
+      if (rowHeightsRef.current.get(index) !== height) {
+        rowHeightsRef.current.set(index, height);
+        changed = true;
+      }
+    });
+    if (changed) {
+      setMeasured(count => count + 1);
+    }
+  }));
+
+  useEffect(() => () => rowObserver.disconnect(), [rowObserver]);
+
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  // Track which part of the grid is on screen
+  useEffect(() => {
+    let frame = null;
+    const update = () => {
+      frame = null;
+      const top = -containerRef.current.getBoundingClientRect().top;
+      setViewport({ top, bottom: top + window.innerHeight });
+    };
+    const schedule = () => {
+      if (frame === null) {
+        frame = requestAnimationFrame(update);
+      }
+    };
+
+    update();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      cancelAnimationFrame(frame);
+    };
+  }, [items.length]);
+
+  const columns = Math.max(1, Math.floor((width + gap) / (minColumnWidth + gap)));
+
+  // Measurements belong to one layout; start over when the column count changes
+  useEffect(() => {
+    rowHeightsRef.current.clear();
+  }, [columns]);
+
+  const rowCount = Math.ceil(items.length / columns);
+  const offsets = [0];
+  for (let row = 0; row < rowCount; row++) {
+    offsets.push(offsets[row] + (rowHeightsRef.current.get(row) ?? estimatedRowHeight) + gap);
+  }
+
+  let start = 0;
+  while (start < rowCount - 1 && offsets[start + 1] < viewport.top - OVERSCAN) {
+    start++;
+  }
+  let end = start;
+  while (end < rowCount && offsets[end] <= viewport.bottom + OVERSCAN) {
+    end++;
+  }
+
+  useEffect(() => {
+    if (onEndReached && rowCount > 0 && end === rowCount) {
+      onEndReached();
+    }
+  }, [end, rowCount]);
+
+  const rows = [];
+  for (let row = start; row < end; row++) {
+    rows.push(
+      <GridRow key={row} index={row} observer={rowObserver} columns={columns} gap={gap}>
+        {items.slice(row * columns, (row + 1) * columns).map(item => (
+          <div key={getKey(item)} className="virtual-grid-cell">{renderItem(item)}</div>
+        ))}
+      </GridRow>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className="virtual-grid"
+      style={{ paddingTop: offsets[start], paddingBottom: offsets[rowCount] - offsets[end], gap }}
+    >
+      {rows}
+    </div>
+  );
+}
+
+export default VirtualGrid;
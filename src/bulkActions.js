@@ -0,0 +1,86 @@
+// Actions on many selected videos at once, each reporting a result per video
+
+import { getVideo, deleteVideos } from './db';
+import { enqueue, cancelUpload } from './uploadQueue';
+import { downloadBlob, getVideoFilename } from './download';
+import { needsCompression } from './compression';
+import { BulkStatus } from './bulkStatus';
+
+// Browsers drop downloads triggered in quick succession
+const DOWNLOAD_INTERVAL = 400;
+
+function result(id, video, status, message = null) {
+  return { id, label: video?.title || 'Untitled', status, message };
+}
+
+/**
+ * Queue every selected video that can be uploaded
+ * The queue uploads them concurrently; results start out PENDING and are resolved from queue events.
+ * @param {Array<string>} ids - Video IDs
+ * @returns {Promise<Array<Object>>} - One `{ id, label, status, message }` per video
+ */
+export async function uploadVideos(ids) {
+  const results = [];
+
+  for (const id of ids) {
+    const video = await getVideo(id);
+    if (!video) {
+      results.push(result(id, video, BulkStatus.SKIPPED, 'Video no longer exists'));
+    } else if (video.uploaded) {
+      results.push(result(id, video, BulkStatus.SKIPPED, 'Already uploaded'));
+    } else if (!video.blob) {
+      results.push(result(id, video, BulkStatus.SKIPPED, 'No local copy'));
+    } else if (needsCompression(video.blob)) {
+      results.push(result(id, video, BulkStatus.SKIPPED, 'Too large; use Compress & Upload'));
+    } else {
+      await enqueue(id);
+      results.push(result(id, video, BulkStatus.PENDING));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Delete the selected videos in one transaction, cancelling their uploads first
+ * @param {Array<string>} ids - Video IDs
+ * @returns {Promise<Array<Object>>} - One result per video
+ */
+export async function deleteSelectedVideos(ids) {
+  const results = [];
+
+  for (const id of ids) {
+    const video = await getVideo(id);
+    await cancelUpload(id);
+    results.push(result(id, video, BulkStatus.OK));
+  }
+
+  await deleteVideos(ids);
+  return results;
+}
+
+/**
+ * Download the local copy of each selected video, one after another
+ * @param {Array<string>} ids - Video IDs
+ * @param {Function} [onResult] - Called with the results so far after each video
+ * @returns {Promise<Array<Object>>} - One result per video
+ */
+export async function downloadVideos(ids, onResult) {
+  const results = [];
+
+  for (const id of ids) {
+    const video = await getVideo(id);
+    if (!video?.blob) {
+      results.push(result(id, video, BulkStatus.SKIPPED, 'No local copy'));
+    } else {
+      downloadBlob(video.blob, getVideoFilename(video));
+      results.push(result(id, video, BulkStatus.OK));
+      await new Promise(resolve => setTimeout(resolve, DOWNLOAD_INTERVAL));
+    }
+    if (onResult) {
+      onResult([...results]);
+    }
+  }
+
+  return results;
+}
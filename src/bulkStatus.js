@@ -0,0 +1,8 @@
+// Per-video result states shared by bulk actions and library import/export
+
+export const BulkStatus = {
+  PENDING: 'pending',
+  OK: 'ok',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+};
@@ -1,178 +1,190 @@
-// Cloudinary upload utility with edge case handling
+// Cloudinary upload provider with edge case handling
 
-const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB
-const UPLOAD_TIMEOUT = 5 * 60 * 1000; // 5 minutes
-const MAX_RETRIES = 3;
-const RETRY_DELAY = 2000; // 2 seconds
+import { getFileExtension } from './codecs';
+import { assertUploadable, createUploadId, headRemoteFile, sendWithProgress, withRetry } from './uploadUtils';
+import { UploadError, UploadErrorCode, createHttpError } from './uploadErrors';
+import { getUploadConfig } from './uploadConfig';
 
-const CLOUDINARY_CLOUD_NAME = import.meta.env.VITE_CLOUDINARY_CLOUD_NAME;
-const CLOUDINARY_UPLOAD_PRESET = import.meta.env.VITE_CLOUDINARY_UPLOAD_PRESET;
+const CHUNK_SIZE = 6 * 1024 * 1024; // 6MB (Cloudinary requires at least 5MB per chunk except the last)
 
 /**
- * Check if browser is online
+ * Cloudinary settings from the upload config: `cloudName`, `uploadPreset` and `apiKey`, plus
+ * `signingEndpoint` (uploads are signed there instead of using the unsigned preset) and
+ * `getSigningToken(signal)`, which resolves to a short-lived token for the signed-in user
  */
-export function isOnline() {
-  return navigator.onLine;
+function getCloudinarySettings() {
+  return getUploadConfig().cloudinary || {};
 }
 
 /**
- * Validate video file before upload
+ * Whether the required Cloudinary settings are present for either upload mode
  */
-export function validateVideo(blob) {
-  const errors = [];
-  
-  if (!blob || blob.size === 0) {
-    errors.push('Video file is empty');
-  }
-  
-  if (blob.size > MAX_FILE_SIZE) {
-    errors.push(`Video size (${formatBytes(blob.size)}) exceeds limit (${formatBytes(MAX_FILE_SIZE)})`);
+function isCloudinaryConfigured({ cloudName, signingEndpoint, getSigningToken, uploadPreset }) {
+  return Boolean(cloudName && (signingEndpoint ? getSigningToken : uploadPreset));
+}
+
+/**
+ * Form fields that authorize an upload: a signature from the signing endpoint, or the unsigned preset.
+ * With a content hash the asset is named after it (`public_id`) and tagged with it (`context`), so a
+ * repeated upload of the same file returns the existing asset instead of creating a duplicate.
+ * Signed uploads get both from the endpoint, as they must be covered by the signature.
+ */
+async function getUploadParams(settings, contentHash, signal) {
+  const { uploadPreset, signingEndpoint, getSigningToken } = settings;
+  if (!signingEndpoint) {
+    return {
+      upload_preset: uploadPreset,
+      ...(contentHash && { public_id: contentHash, context: `sha256=${contentHash}` })
+    };
   }
-  
-  if (!blob.type.startsWith('video/')) {
-    errors.push('Invalid file type. Expected video file');
+
+  // A fresh per-user token for every signature; the host's backend issues it after checking the session
+  const signingToken = await getSigningToken(signal);
+  const response = await fetch(signingEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${signingToken}`
+    },
+    body: JSON.stringify({ sha256: contentHash || null }),
+    signal
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw createHttpError(response, errorData, errorData.error?.message || `Signing request failed with status ${response.status}`);
   }
-  
+
+  const { apiKey, signature, params } = await response.json();
   return {
-    valid: errors.length === 0,
-    errors
+    ...params,
+    api_key: apiKey || settings.apiKey,
+    signature
   };
 }
 
 /**
- * Upload video to Cloudinary with retry logic and progress tracking
+ * Upload video to Cloudinary in chunks with retry logic and progress tracking.
+ *
+ * Chunks are sent with `X-Unique-Upload-Id` and `Content-Range` headers. After
+ * each confirmed chunk `onStateChange({ uploadId, offset })` is called so the
+ * caller can persist it and pass it back as `resumeState` to continue an
+ * interrupted upload from the last confirmed byte instead of from zero.
+ * Aborting `signal` stops the upload after the chunk in flight is dropped.
+ * `contentHash` becomes the asset's public id (see getUploadParams).
  */
-export async function uploadToCloudinary(blob, onProgress, retryCount = 0) {
+export async function uploadToCloudinary(blob, onProgress, { resumeState, onStateChange, signal, contentHash } = {}) {
   // Check configuration
-  if (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_UPLOAD_PRESET) {
-    throw new Error('Cloudinary credentials not configured. Please check .env file');
+  const settings = getCloudinarySettings();
+  if (!isCloudinaryConfigured(settings)) {
+    throw new UploadError(UploadErrorCode.CONFIG, 'Cloudinary not configured: set cloudName and uploadPreset, or signingEndpoint and getSigningToken, in the upload config');
   }
-  
-  // Validate file
-  const validation = validateVideo(blob);
-  if (!validation.valid) {
-    throw new Error(validation.errors.join('. '));
-  }
-  
-  // Check online status
-  if (!isOnline()) {
-    throw new Error('No internet connection. Video saved locally and will be uploaded when online');
+
+  assertUploadable(blob);
+
+  // One signature covers every chunk of this attempt; a resumed upload fetches a fresh one
+  const uploadParams = await withRetry(() => getUploadParams(settings, contentHash, signal), { signal });
+
+  const uploadUrl = `https://api.cloudinary.com/v1_1/${settings.cloudName}/video/upload`;
+  const total = blob.size;
+  // A saved state that already covers the whole file lost its final response; start over
+  const canResume = resumeState?.uploadId && resumeState.offset < total;
+  const uploadId = canResume ? resumeState.uploadId : createUploadId();
+  let offset = canResume ? resumeState.offset : 0;
+  let result = null;
+
+  if (offset > 0) {
+    console.log(`Resuming upload ${uploadId} at byte ${offset} of ${total}`);
   }
 
-  const formData = new FormData();
-  formData.append('file', blob);
-  formData.append('upload_preset', CLOUDINARY_UPLOAD_PRESET);
-  formData.append('resource_type', 'video');
-  
-  const uploadUrl = `https://api.cloudinary.com/v1_1/${CLOUDINARY_CLOUD_NAME}/video/upload`;
-
-  try {
-    const response = await uploadWithProgress(uploadUrl, formData, onProgress);
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error?.message || `Upload failed with status ${response.status}`);
-    }
+  while (offset < total) {
+    signal?.throwIfAborted();
+    const end = Math.min(offset + CHUNK_SIZE, total);
+    // Only the current chunk is resent on retry
+    const response = await withRetry(() => uploadChunk(uploadUrl, blob, uploadParams, uploadId, offset, end, (fraction) => {
+      if (onProgress) {
+        onProgress(Math.round(((offset + (end - offset) * fraction) / total) * 100));
+      }
+    }, signal), { signal });
 
-    const result = await response.json();
-    return {
-      success: true,
-      url: result.secure_url,
-      publicId: result.public_id,
-      cloudinaryResponse: result
-    };
-    
-  } catch (error) {
-    // Retry logic for network errors
-    if (retryCount < MAX_RETRIES && isRetryableError(error)) {
-      console.log(`Upload failed, retrying (${retryCount + 1}/${MAX_RETRIES})...`);
-      await sleep(RETRY_DELAY * (retryCount + 1)); // Exponential backoff
-      return uploadToCloudinary(blob, onProgress, retryCount + 1);
+    // The final chunk's response carries the complete asset details
+    result = await response.json();
+    offset = end;
+
+    if (onStateChange) {
+      await onStateChange({ uploadId, offset });
     }
-    
-    throw error;
   }
-}
 
-/**
- * Upload with XMLHttpRequest to track progress
- */
-function uploadWithProgress(url, formData, onProgress) {
-  return new Promise((resolve, reject) => {
-    const xhr = new XMLHttpRequest();
-    
-    // Set timeout
-    xhr.timeout = UPLOAD_TIMEOUT;
-    
-    // Track upload progress
-    xhr.upload.addEventListener('progress', (event) => {
-      if (event.lengthComputable && onProgress) {
-        const percentComplete = Math.round((event.loaded / event.total) * 100);
-        onProgress(percentComplete);
-      }
-    });
-    
-    // Handle completion
-    xhr.addEventListener('load', () => {
-      resolve({
-        ok: xhr.status >= 200 && xhr.status < 300,
-        status: xhr.status,
-        json: async () => JSON.parse(xhr.responseText)
-      });
-    });
-    
-    // Handle errors
-    xhr.addEventListener('error', () => {
-      reject(new Error('Network error during upload'));
-    });
-    
-    xhr.addEventListener('timeout', () => {
-      reject(new Error('Upload timeout. Please try again with a shorter video'));
-    });
-    
-    xhr.addEventListener('abort', () => {
-      reject(new Error('Upload cancelled'));
-    });
-    
-    xhr.open('POST', url);
-    xhr.send(formData);
-  });
-}
+  if (result.existing) {
+    console.log(`Cloudinary already had ${result.public_id}; kept the existing asset`);
+  }
 
-/**
- * Check if error is retryable
- */
-function isRetryableError(error) {
-  const retryableMessages = [
-    'network error',
-    'failed to fetch',
-    'timeout',
-    'connection',
-    'ECONNRESET',
-    'ETIMEDOUT'
-  ];
-  
-  const message = error.message.toLowerCase();
-  return retryableMessages.some(msg => message.includes(msg));
+  return {
+    success: true,
+    url: result.secure_url,
+    publicId: result.public_id,
+    bytes: result.bytes,
+    etag: result.etag,
+    cloudinaryResponse: result
+  };
 }
 
 /**
- * Format bytes to human readable
+ * Upload one byte range of a chunked upload
  */
-export function formatBytes(bytes, decimals = 2) {
-  if (bytes === 0) return '0 Bytes';
-  
-  const k = 1024;
-  const dm = decimals < 0 ? 0 : decimals;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+async function uploadChunk(url, blob, uploadParams, uploadId, start, end, onProgress, signal) {
+  const formData = new FormData();
+  // A filename with the real extension lets Cloudinary detect WebM vs MP4 from the first chunk
+  formData.append('file', blob.slice(start, end), `recording.${getFileExtension(blob.type)}`);
+  Object.entries(uploadParams).forEach(([name, value]) => formData.append(name, value));
+  formData.append('resource_type', 'video');
+
+  const headers = {
+    'X-Unique-Upload-Id': uploadId,
+    'Content-Range': `bytes ${start}-${end - 1}/${blob.size}`
+  };
+
+  const response = await sendWithProgress('POST', url, formData, { headers, onProgress, signal });
+
+  if (!response.ok) {
+    // Cloudinary explains rejections in `{ error: { message } }`; keep the whole body for the error history
+    const errorData = await response.json().catch(() => ({}));
+    throw createHttpError(response, errorData, errorData.error?.message || `Upload failed with status ${response.status}`);
+  }
+
+  return response;
 }
 
 /**
- * Sleep utility
+ * Cloudinary as an upload provider (see uploadProviders.js)
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+export const cloudinaryProvider = {
+  name: 'cloudinary',
+  label: 'Cloudinary',
+
+  isConfigured() {
+    return isCloudinaryConfigured(getCloudinarySettings());
+  },
+
+  // Chunked uploads continue from the last confirmed chunk
+  canPause() {
+    return true;
+  },
+
+  // The CDN's ETag is not the etag from the upload response, so only the size can be compared
+  async inspect(url) {
+    const { status, size } = await headRemoteFile(url);
+    return { status, size, etag: null };
+  },
+
+  async upload(blob, onProgress, options) {
+    const result = await uploadToCloudinary(blob, onProgress, options);
+    return {
+      url: result.url,
+      remoteId: result.publicId,
+      bytes: result.bytes,
+      etag: result.etag,
+      response: result.cloudinaryResponse
+    };
+  }
+};
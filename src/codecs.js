@@ -0,0 +1,59 @@
+// MediaRecorder MIME type / codec negotiation
+
+/**
+ * Candidate recording types, most preferred first.
+ * Chrome and Firefox record WebM (VP9/VP8); Safari and iOS only record MP4/H.264.
+ */
+const CANDIDATE_MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm;codecs=h264,opus',
+  'video/mp4;codecs=avc1.42E01E,mp4a.40.2',
+  'video/mp4;codecs=avc1',
+  'video/webm;codecs=av01,opus',
+  'video/mp4;codecs=av01',
+  'video/webm',
+  'video/mp4',
+];
+
+const EXTENSIONS = {
+  'video/webm': 'webm',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/x-matroska': 'mkv',
+};
+
+/**
+ * Pick the first candidate type this browser can record
+ * @returns {string} - MIME type, or '' to let the browser choose its default
+ */
+export function pickRecorderMimeType() {
+  if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) {
+    return '';
+  }
+  return CANDIDATE_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+/**
+ * Strip codec parameters: 'video/webm;codecs=vp9' -> 'video/webm'
+ */
+export function getContainerType(mimeType) {
+  return (mimeType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * File extension for a MIME type (defaults to webm, the historical format of this app)
+ */
+export function getFileExtension(mimeType) {
+  return EXTENSIONS[getContainerType(mimeType)] || 'webm';
+}
+
+/**
+ * Whether this browser can play a recording of the given type (e.g. MP4 from Safari in Firefox is fine, WebM in old Safari is not)
+ */
+export function canPlayMimeType(mimeType) {
+  if (!mimeType || typeof document === 'undefined') {
+    return true;
+  }
+  return document.createElement('video').canPlayType(mimeType) !== '';
+}
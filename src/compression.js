@@ -0,0 +1,104 @@
+// Re-encode videos in the browser to fit the upload size limit (ffmpeg.wasm)
+
+import { FFmpeg } from '@ffmpeg/ffmpeg';
+import { fetchFile } from '@ffmpeg/util';
+import coreURL from '@ffmpeg/core?url';
+import wasmURL from '@ffmpeg/core/wasm?url';
+import { getFileExtension } from './codecs';
+import { MAX_FILE_SIZE } from './uploadUtils';
+
+// Aim below the limit: container overhead and rate control overshoot eat into the budget
+const TARGET_SIZE = MAX_FILE_SIZE * 0.85;
+const AUDIO_BITS_PER_SECOND = 96_000;
+const MIN_VIDEO_BITS_PER_SECOND = 250_000;
+const MAX_HEIGHT = 720;
+// Used when a recording has no duration metadata
+const FALLBACK_VIDEO_BITS_PER_SECOND = 1_000_000;
+
+/**
+ * Whether a video is too large to upload without compressing it first
+ */
+export function needsCompression(blob) {
+  return Boolean(blob) && blob.size > MAX_FILE_SIZE;
+}
+
+/**
+ * Video bitrate that brings a clip of the given duration under the target size
+ */
+function getTargetBitrate(duration) {
+  if (!duration) {
+    return FALLBACK_VIDEO_BITS_PER_SECOND;
+  }
+  const total = (TARGET_SIZE * 8) / duration;
+  return Math.max(MIN_VIDEO_BITS_PER_SECOND, Math.floor(total - AUDIO_BITS_PER_SECOND));
+}
+
+/**
+ * Output dimensions for the scale filter below (height capped, width kept even)
+ */
+function getOutputSize(width, height) {
+  if (!width || !height) {
+    return { width: null, height: null };
+  }
+  if (height <= MAX_HEIGHT) {
+    return { width, height };
+  }
+  return { width: Math.round((width * MAX_HEIGHT) / height / 2) * 2, height: MAX_HEIGHT };
+}
+
+/**
+ * Compress a video to H.264/AAC MP4 at a bitrate that fits the upload limit, scaled down to at most 720p.
+ *
+ * ffmpeg.wasm runs in its own Web Worker, so the page stays responsive. The
+ * ~30MB core is only fetched when compressing, and the worker is terminated
+ * afterwards to give its memory back.
+ * @param {Blob} blob - Source video
+ * @param {Object} [options]
+ * @param {number} [options.duration] - Duration in seconds, used to pick the bitrate
+ * @param {number} [options.width] - Source width, to report the output size
+ * @param {number} [options.height] - Source height
+ * @param {Function} [options.onProgress] - Called with 0-100
+ * @returns {Promise<{blob: Blob, width: number|null, height: number|null}>} - Compressed video
+ */
+export async function compressVideo(blob, { duration, width, height, onProgress } = {}) {
+  const ffmpeg = new FFmpeg();
+  const input = `input.${getFileExtension(blob.type)}`;
+  const output = 'output.mp4';
+  const bitrate = getTargetBitrate(duration);
+
+  ffmpeg.on('progress', ({ progress }) => {
+    if (onProgress && progress >= 0 && progress <= 1) {
+      onProgress(Math.round(progress * 100));
+    }
+  });
+
+  try {
+    await ffmpeg.load({ coreURL, wasmURL });
+    await ffmpeg.writeFile(input, await fetchFile(blob));
+
+    const exitCode = await ffmpeg.exec([
+      '-i', input,
+      '-vf', `scale=-2:'min(${MAX_HEIGHT},ih)'`,
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-b:v', String(bitrate),
+      '-maxrate', String(bitrate),
+      '-bufsize', String(bitrate * 2),
+      '-c:a', 'aac',
+      '-b:a', String(AUDIO_BITS_PER_SECOND),
+      '-movflags', '+faststart',
+      output,
+    ]);
+    if (exitCode !== 0) {
+      throw new Error('Compression failed; the video format may not be supported');
+    }
+
+    const data = await ffmpeg.readFile(output);
+    return {
+      blob: new Blob([data.buffer], { type: 'video/mp4' }),
+      ...getOutputSize(width, height),
+    };
+  } finally {
+    ffmpeg.terminate();
+  }
+}
@@ -0,0 +1,141 @@
+// Coordination between tabs (and the service worker) sharing the same IndexedDB database:
+// change notifications over BroadcastChannel, and Web Locks for per-video upload ownership and live recordings
+
+const CHANNEL_NAME = 'video-recorder';
+
+export const TabMessage = {
+  // `{ ids, deleted }`: videos were added, changed or (if `deleted`) removed
+  VIDEOS_CHANGED: 'videos-changed',
+  // `{ event }`: an upload queue event from another context (see uploadQueue.subscribe)
+  QUEUE_EVENT: 'queue-event',
+  // `{ action, videoId }`: asks whichever context runs an upload to pause, resume or cancel it
+  QUEUE_COMMAND: 'queue-command',
+};
+
+const listeners = new Set();
+let channel = null;
+
+function getChannel() {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = event => listeners.forEach(listener => listener(event.data));
+  }
+  return channel;
+}
+
+/**
+ * Send a message to every other tab and the service worker; the sender does not receive it
+ * @param {Object} message - `{ type, ... }` with a type from TabMessage
+ */
+export function broadcast(message) {
+  try {
+    getChannel()?.postMessage(message);
+  } catch (error) {
+    console.warn('Could not notify other tabs:', error);
+  }
+}
+
+/**
+ * Listen for messages from other tabs and the service worker
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToTabs(listener) {
+  getChannel();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Whether uploads and recordings can be coordinated across contexts (Web Locks)
+ */
+export function hasWebLocks() {
+  return typeof navigator !== 'undefined' && Boolean(navigator.locks);
+}
+
+function uploadLockName(videoId) {
+  return `upload:${videoId}`;
+}
+
+/**
+ * Run `callback` while holding a video's upload lock, or not at all if another context holds it.
+ * The lock is released when the callback settles, or when its tab closes.
+ * Without Web Locks the callback always runs; claiming the queue item in IndexedDB still keeps
+ * two contexts from starting the same upload.
+ * @returns {Promise<boolean>} - Whether the callback ran
+ */
+export async function withUploadLock(videoId, callback) {
+  if (!hasWebLocks()) {
+    await callback();
+    return true;
+  }
+
+  return navigator.locks.request(uploadLockName(videoId), { ifAvailable: true }, async (lock) => {
+    if (!lock) {
+      return false;
+    }
+    await callback();
+    return true;
+  });
+}
+
+/**
+ * Whether a tab or the service worker is running (or holding a paused) upload of a video
+ * Always false without Web Locks.
+ */
+export async function isUploadOwned(videoId) {
+  if (!hasWebLocks()) {
+    return false;
+  }
+  const { held } = await navigator.locks.query();
+  return held.some(lock => lock.name === uploadLockName(videoId));
+}
+
+/**
+ * Resolve once no context holds a video's upload lock
+ */
+export async function waitForUploadLock(videoId) {
+  if (hasWebLocks()) {
+    await navigator.locks.request(uploadLockName(videoId), () => {});
+  }
+}
+
+function recordingLockName(sessionId) {
+  return `recording:${sessionId}`;
+}
+
+/**
+ * Hold a recording session's lock until the returned function is called, or the tab closes,
+ * so recovery in another tab does not take the session of a recording still in progress
+ * @returns {Promise<Function>} - Resolves once the lock is held; call the result to release it
+ */
+export async function holdRecordingLock(sessionId) {
+  if (!hasWebLocks()) {
+    return () => {};
+  }
+
+  let release;
+  const released = new Promise((resolve) => {
+    release = resolve;
+  });
+  await new Promise((resolve) => {
+    navigator.locks.request(recordingLockName(sessionId), () => {
+      resolve();
+      return released;
+    });
+  });
+  return release;
+}
+
+/**
+ * IDs of the recording sessions some tab is still recording into
+ * Always empty without Web Locks.
+ * @returns {Promise<Set<string>>}
+ */
+export async function getLiveRecordingSessions() {
+  if (!hasWebLocks()) {
+    return new Set();
+  }
+  const { held } = await navigator.locks.query();
+  const prefix = recordingLockName('');
+  return new Set(held.filter(lock => lock.name.startsWith(prefix)).map(lock => lock.name.slice(prefix.length)));
+}
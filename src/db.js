@@ -1,38 +1,420 @@
 import { openDB } from 'idb';
+import { getFileExtension } from './codecs';
+import { fixWebmMetadata } from './webm';
+import { broadcast, TabMessage, holdRecordingLock, getLiveRecordingSessions } from './crossTab';
 
 const DB_NAME = 'video-recorder-db';
-const DB_VERSION = 1;
 const STORE_NAME = 'videos';
+const SESSION_STORE = 'sessions';
+const CHUNK_STORE = 'chunks';
+const QUEUE_STORE = 'uploadQueue';
+// Upload errors kept per video, newest last
+const MAX_UPLOAD_ERRORS = 20;
+
+export const UploadStatus = {
+  LOCAL: 'local',
+  FAILED: 'failed',
+  UPLOADED: 'uploaded',
+};
+
+// Fields the library can be sorted by; each has an index on the videos store
+export const SortField = {
+  CREATED_AT: 'createdAt',
+  SIZE: 'size',
+  DURATION: 'duration',
+};
+
+/**
+ * Rewrite every stored video with `transform` inside an upgrade transaction
+ */
+async function rewriteVideos(transaction, transform) {
+  const store = transaction.objectStore(STORE_NAME);
+  let cursor = await store.openCursor();
+  while (cursor) {
+    await cursor.update(transform(cursor.value));
+    cursor = await cursor.continue();
+  }
+}
+
+/**
+ * Schema migrations, applied in order for every version above the stored one.
+ * Each runs inside the versionchange transaction, so a failure rolls the whole
+ * upgrade back and leaves existing data untouched. Never edit a shipped
+ * migration; add a new version instead. Record rewrites spell out the fields
+ * of their own version rather than calling the live record helpers, which
+ * keep changing after the migration ships.
+ */
+const migrations = [
+  {
+    version: 1,
+    migrate(db) {
+      db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    },
+  },
+  {
+    // In-progress recordings: one session record plus its ordered chunks
+    version: 2,
+    migrate(db) {
+      db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+      db.createObjectStore(CHUNK_STORE, { keyPath: ['sessionId', 'seq'] });
+    },
+  },
+  {
+    // Background upload queue, one item per video
+    version: 3,
+    migrate(db) {
+      db.createObjectStore(QUEUE_STORE, { keyPath: 'videoId' });
+    },
+  },
+  {
+    // Richer video metadata plus indexes on creation time and upload status
+    version: 4,
+    async migrate(db, transaction) {
+      const store = transaction.objectStore(STORE_NAME);
+      store.createIndex('createdAt', 'createdAt');
+      store.createIndex('uploadStatus', 'uploadStatus');
+
+      await rewriteVideos(transaction, (video) => {
+        const uploaded = Boolean(video.uploaded);
+        return {
+          createdAt: Date.now(),
+          mimeType: video.blob?.type || '',
+          duration: null,
+          width: null,
+          height: null,
+          title: '',
+          tags: [],
+          recovered: false,
+          uploadStatus: uploaded ? 'uploaded' : 'local',
+          uploadState: null,
+          uploadError: null,
+          uploadAttempts: 0,
+          provider: null,
+          remoteId: null,
+          remoteUrl: null,
+          ...video,
+          uploaded,
+        };
+      });
+    },
+  },
+  {
+    // Recordings may be WebM or MP4 depending on the browser; remember each file's extension
+    version: 5,
+    async migrate(db, transaction) {
+      const extensions = { 'video/webm': 'webm', 'video/mp4': 'mp4', 'video/quicktime': 'mov', 'video/x-matroska': 'mkv' };
+      await rewriteVideos(transaction, (video) => {
+        const mimeType = video.mimeType || video.blob?.type || '';
+        const containerType = mimeType.split(';')[0].trim().toLowerCase();
+        return { mimeType, extension: extensions[containerType] || 'webm', ...video };
+      });
+    },
+  },
+  {
+    // Library search, sort and filter: notes, a stored size, and indexes for tags and search terms
+    version: 6,
+    async migrate(db, transaction) {
+      const store = transaction.objectStore(STORE_NAME);
+      store.createIndex(SortField.SIZE, 'size');
+      store.createIndex(SortField.DURATION, 'duration');
+      store.createIndex('tags', 'tags', { multiEntry: true });
+      store.createIndex('searchTerms', 'searchTerms', { multiEntry: true });
+
+      const words = text => (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+      await rewriteVideos(transaction, (video) => {
+        const tags = [...new Set((video.tags || []).map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+        return {
+          notes: '',
+          thumbnail: null,
+          sourceId: null,
+          versions: [],
+          ...video,
+          tags,
+          size: video.blob ? video.blob.size : (video.size ?? 0),
+          searchTerms: [...new Set([...words(video.title), ...words(video.notes), ...tags.flatMap(words)])],
+        };
+      });
+    },
+  },
+  {
+    // Upload errors become structured (code, status, response body) with a history per video
+    version: 7,
+    async migrate(db, transaction) {
+      await rewriteVideos(transaction, (video) => {
+        const { uploadError } = video;
+        const legacyError = typeof uploadError === 'string'
+          ? { code: 'unknown', message: uploadError, status: null, body: null, at: null }
+          : uploadError;
+        return {
+          ...video,
+          uploadError: legacyError || null,
+          uploadErrors: video.uploadErrors || (legacyError ? [legacyError] : []),
+        };
+      });
+    },
+  },
+  {
+    // Content hashes to name uploads and find duplicates, plus what the provider reported about each upload
+    version: 8,
+    async migrate(db, transaction) {
+      const store = transaction.objectStore(STORE_NAME);
+      store.createIndex('sha256', 'sha256');
+
+      // Files cannot be read inside the upgrade transaction; older videos are hashed when they are next uploaded
+      await rewriteVideos(transaction, video => ({
+        sha256: null,
+        remoteBytes: null,
+        remoteEtag: null,
+        verifiedAt: null,
+        ...video,
+      }));
+    },
+  },
+];
+
+const DB_VERSION = migrations[migrations.length - 1].version;
 
 /**
  * Initialize and open the IndexedDB database
  */
 export const dbPromise = openDB(DB_NAME, DB_VERSION, {
-  upgrade(db) {
-    if (!db.objectStoreNames.contains(STORE_NAME)) {
-      db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+  async upgrade(db, oldVersion, newVersion, transaction) {
+    for (const { version, migrate } of migrations) {
+      if (version > oldVersion) {
+        await migrate(db, transaction);
+      }
     }
   },
 });
 
+/**
+ * Create a collision-free record id
+ */
+function createId(prefix) {
+  const unique = typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : Math.random().toString(36).slice(2);
+  return `${prefix}-${Date.now()}-${unique}`;
+}
+
+/**
+ * Split text into lowercase words for the search index
+ */
+function tokenize(text) {
+  return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Trim, lowercase and de-duplicate tags
+ */
+function normalizeTags(tags) {
+  return [...new Set((tags || []).map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Recompute the fields derived from others: the indexed size and search terms
+ * Evicted videos have no blob but keep the size they had.
+ */
+function withDerivedFields(video) {
+  const tags = normalizeTags(video.tags);
+  return {
+    ...video,
+    tags,
+    size: video.blob ? video.blob.size : (video.size ?? 0),
+    searchTerms: [...new Set([...tokenize(video.title), ...tokenize(video.notes), ...tags.flatMap(tokenize)])],
+  };
+}
+
+/**
+ * Fill in every field of a video record, keeping any that are already set
+ * @param {Object} fields - Partial video record (must include `blob`)
+ * @returns {Object} - Complete video record
+ */
+function createVideoRecord(fields) {
+  const uploaded = Boolean(fields.uploaded);
+  const mimeType = fields.mimeType || fields.blob?.type || '';
+  const record = {
+    id: createId('video'),
+    createdAt: Date.now(),
+    mimeType,
+    extension: getFileExtension(mimeType),
+    duration: null,
+    width: null,
+    height: null,
+    title: '',
+    notes: '',
+    tags: [],
+    thumbnail: null,
+    sourceId: null,
+    // SHA-256 of the current file (hex); null until hashed
+    sha256: null,
+    versions: [],
+    recovered: false,
+    uploadStatus: uploaded ? UploadStatus.UPLOADED : UploadStatus.LOCAL,
+    uploadState: null,
+    uploadError: null,
+    uploadErrors: [],
+    uploadAttempts: 0,
+    provider: null,
+    remoteId: null,
+    remoteUrl: null,
+    // Size and etag the provider reported for the uploaded file, and when the remote copy was last checked against them
+    remoteBytes: null,
+    remoteEtag: null,
+    verifiedAt: null,
+    ...fields,
+    uploaded,
+  };
+  return withDerivedFields(record);
+}
+
+/**
+ * Key range covering every chunk of a session, in sequence order
+ */
+function sessionChunkRange(sessionId) {
+  return IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+}
+
+/**
+ * Tell other tabs (and the service worker) that videos changed, so they can reload what they show
+ * @param {Array<string>} ids - Video IDs
+ * @param {Object} [options]
+ * @param {boolean} [options.deleted] - The videos were deleted
+ */
+function notifyVideosChanged(ids, { deleted = false } = {}) {
+  if (ids.length > 0) {
+    broadcast({ type: TabMessage.VIDEOS_CHANGED, ids, deleted });
+  }
+}
+
 /**
  * Save a video to IndexedDB
  * @param {Blob} blob - Video blob
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - Recording session to clear in the same transaction
+ * @param {Object} [options.metadata] - Extra record fields (mimeType, duration, width, height, title, notes, tags, thumbnail...)
  * @returns {Promise<string>} - Video ID
  */
-export async function saveVideo(blob) {
+export async function saveVideo(blob, { sessionId, metadata = {} } = {}) {
   const db = await dbPromise;
-  const id = `video-${Date.now()}`;
-  
-  const video = {
-    id,
-    blob,
-    createdAt: Date.now(),
-    uploaded: false,
-  };
+  // Not hashed here: saving must not depend on reading the whole file again; the upload queue hashes it
+  const video = createVideoRecord({ ...metadata, blob });
+
+  const tx = db.transaction([STORE_NAME, SESSION_STORE, CHUNK_STORE], 'readwrite');
+  tx.objectStore(STORE_NAME).put(video);
+  if (sessionId) {
+    tx.objectStore(SESSION_STORE).delete(sessionId);
+    tx.objectStore(CHUNK_STORE).delete(sessionChunkRange(sessionId));
+  }
+  await tx.done;
+  notifyVideosChanged([video.id]);
+  return video.id;
+}
+
+/**
+ * Restore a video record from an export, keeping its id
+ * @param {Object} fields - Partial video record, including `id`
+ * @returns {Promise<boolean>} - False if a video with that id already exists
+ */
+export async function importVideo(fields) {
+  const db = await dbPromise;
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  if (await tx.store.getKey(fields.id)) {
+    await tx.done;
+    return false;
+  }
+  tx.store.put(createVideoRecord(fields));
+  await tx.done;
+  notifyVideosChanged([fields.id]);
+  return true;
+}
+
+/**
+ * Start a recording session so chunks can be persisted while recording
+ * The session is locked before it is stored, so recoverSessions in other tabs skips it until `release` is called.
+ * @param {string} mimeType - MIME type the recorder produces
+ * @returns {Promise<{id: string, release: Function}>} - Session ID, and a function to call once the recording is saved
+ */
+export async function createSession(mimeType) {
+  const db = await dbPromise;
+  const id = createId('session');
+  const release = await holdRecordingLock(id);
+
+  try {
+    await db.put(SESSION_STORE, { id, mimeType, startedAt: Date.now() });
+  } catch (error) {
+    release();
+    throw error;
+  }
+  return { id, release };
+}
+
+/**
+ * Persist one MediaRecorder chunk for a session
+ * @param {string} sessionId - Session ID
+ * @param {number} seq - Chunk sequence number
+ * @param {Blob} blob - Chunk data
+ */
+export async function appendChunk(sessionId, seq, blob) {
+  const db = await dbPromise;
+  await db.put(CHUNK_STORE, { sessionId, seq, blob });
+}
+
+/**
+ * Reassemble sessions left behind by a crash or killed tab into videos
+ * Sessions another tab is still recording into (see createSession) are left alone.
+ * @returns {Promise<Array<string>>} - IDs of the recovered videos
+ */
+export async function recoverSessions() {
+  const db = await dbPromise;
+  const sessions = await db.getAll(SESSION_STORE);
+  // Checked after reading: a session is locked before it is stored, so every live one read above is listed
+  const live = await getLiveRecordingSessions();
+
+  const readTx = db.transaction(CHUNK_STORE);
+  const found = [];
+  for (const session of sessions.filter(({ id }) => !live.has(id))) {
+    const chunks = await readTx.store.getAll(sessionChunkRange(session.id));
+    found.push({ session, chunks, video: null });
+  }
+  await readTx.done;
+
+  // The rewrite reads the whole file, which cannot happen inside a transaction without it committing
+  for (const entry of found) {
+    const { session, chunks } = entry;
+    if (chunks.length > 0) {
+      const blob = new Blob(chunks.map(chunk => chunk.blob), { type: session.mimeType });
+      const fixed = await fixWebmMetadata(blob).catch((error) => {
+        console.warn('Could not add duration to recovered recording:', error);
+        return { blob, duration: null };
+      });
+      entry.video = createVideoRecord({
+        blob: fixed.blob,
+        duration: fixed.duration,
+        createdAt: session.startedAt,
+        recovered: true,
+      });
+    }
+  }
 
-  await db.put(STORE_NAME, video);
-  return id;
+  const tx = db.transaction([STORE_NAME, SESSION_STORE, CHUNK_STORE], 'readwrite');
+  const ids = [];
+  for (const { session, video } of found) {
+    // Another tab (or a second mount) recovered it while the file was rebuilt
+    if (!(await tx.objectStore(SESSION_STORE).getKey(session.id))) {
+      continue;
+    }
+    await tx.objectStore(CHUNK_STORE).delete(sessionChunkRange(session.id));
+    await tx.objectStore(SESSION_STORE).delete(session.id);
+    if (video) {
+      await tx.objectStore(STORE_NAME).put(video);
+      ids.push(video.id);
+    }
+  }
+
+  await tx.done;
+  notifyVideosChanged(ids);
+  return ids;
 }
 
 /**
@@ -45,24 +427,401 @@ export async function getVideos() {
 }
 
 /**
- * Delete a video from IndexedDB
+ * Primary keys of the videos matching every filter, each looked up in its own index
+ * @returns {Promise<Set<string>|null>} - Matching ids, or null when no filter is set
+ */
+async function getMatchingKeys(store, { status, tag, from, to, search } = {}) {
+  const lookups = [];
+  if (status) {
+    lookups.push(store.index('uploadStatus').getAllKeys(status));
+  }
+  if (tag) {
+    lookups.push(store.index('tags').getAllKeys(tag.trim().toLowerCase()));
+  }
+  if (from || to) {
+    const range = from && to
+      ? IDBKeyRange.bound(from, to)
+      : from ? IDBKeyRange.lowerBound(from) : IDBKeyRange.upperBound(to);
+    lookups.push(store.index('createdAt').getAllKeys(range));
+  }
+  // Every word must match the start of a word in the title, notes or tags
+  tokenize(search).forEach((term) => {
+    lookups.push(store.index('searchTerms').getAllKeys(IDBKeyRange.bound(term, `${term}\uffff`)));
+  });
+
+  if (lookups.length === 0) {
+    return null;
+  }
+
+  const [first, ...rest] = await Promise.all(lookups);
+  return rest.reduce(
+    (matches, keys) => {
+      const keySet = new Set(keys);
+      return new Set([...matches].filter(key => keySet.has(key)));
+    },
+    new Set(first)
+  );
+}
+
+/**
+ * Read one page of the library, filtered and sorted via indexes.
+ *
+ * Filters narrow the ids through their indexes, then a key cursor over the sort
+ * index walks them in order; only the records on the page are read. Videos with
+ * no value for the sort field (e.g. unknown duration) are not in its index and
+ * come last.
+ * @param {Object} [options]
+ * @param {Object} [options.filters] - `{ status, tag, from, to, search }`; `from`/`to` are timestamps
+ * @param {string} [options.sortBy] - One of SortField
+ * @param {'prev'|'next'} [options.direction] - 'prev' for descending
+ * @param {Object} [options.after] - `next` from the previous page: the sort key and id of its last video
+ * @param {number} [options.limit] - Maximum number of videos
+ * @returns {Promise<{videos: Array, next: Object|null}>} - `next` is null on the last page
+ */
+export async function queryVideos({ filters, sortBy = SortField.CREATED_AT, direction = 'prev', after = null, limit = 20 } = {}) {
+  const db = await dbPromise;
+  const tx = db.transaction(STORE_NAME);
+  const matches = await getMatchingKeys(tx.store, filters);
+  const videos = [];
+  let last = null; // sort key and id of the last video on the page
+  let next = null;
+
+  const collect = async (key, id) => {
+    if (matches && !matches.has(id)) {
+      return true;
+    }
+    // Another match exists, so the page continues after its last video
+    if (videos.length === limit) {
+      next = last;
+      return false;
+    }
+    videos.push(await tx.store.get(id));
+    last = { key, id };
+    return true;
+  };
+
+  // Videos with a value for the sort field, in index order
+  if (after?.key !== null) {
+    const range = after
+      ? (direction === 'prev' ? IDBKeyRange.upperBound(after.key) : IDBKeyRange.lowerBound(after.key))
+      : null;
+    let cursor = await tx.store.index(sortBy).openKeyCursor(range, direction);
+    while (cursor) {
+      // Ties with `after` share its key; skip the ones already returned
+      const seen = after && cursor.key === after.key
+        && (direction === 'prev' ? cursor.primaryKey >= after.id : cursor.primaryKey <= after.id);
+      if (!seen && !(await collect(cursor.key, cursor.primaryKey))) {
+        break;
+      }
+      cursor = await cursor.continue();
+    }
+  }
+
+  // Then the ones missing from the sort index, by id
+  if (!next) {
+    const indexed = new Set(await tx.store.index(sortBy).getAllKeys());
+    const range = after?.key === null ? IDBKeyRange.lowerBound(after.id, true) : null;
+    let cursor = await tx.store.openKeyCursor(range);
+    while (cursor) {
+      if (!indexed.has(cursor.primaryKey) && !(await collect(null, cursor.primaryKey))) {
+        break;
+      }
+      cursor = await cursor.continue();
+    }
+  }
+
+  await tx.done;
+  return { videos, next };
+}
+
+/**
+ * Count the videos matching the filters without reading them
+ * @param {Object} [filters] - Same as queryVideos
+ * @returns {Promise<number>}
+ */
+export async function countVideos(filters) {
+  const db = await dbPromise;
+  const tx = db.transaction(STORE_NAME);
+  const matches = await getMatchingKeys(tx.store, filters);
+  const count = matches ? matches.size : await tx.store.count();
+  await tx.done;
+  return count;
+}
+
+/**
+ * IDs of every video matching the filters, without reading the records
+ * @param {Object} [filters] - Same as queryVideos
+ * @returns {Promise<Array<string>>}
+ */
+export async function getVideoIds(filters) {
+  const db = await dbPromise;
+  const tx = db.transaction(STORE_NAME);
+  const matches = await getMatchingKeys(tx.store, filters);
+  const ids = matches ? [...matches] : await tx.store.getAllKeys();
+  await tx.done;
+  return ids;
+}
+
+/**
+ * All tags in use, for the tag filter
+ * @returns {Promise<Array<string>>}
+ */
+export async function getAllTags() {
+  const db = await dbPromise;
+  const tags = [];
+  let cursor = await db.transaction(STORE_NAME).store.index('tags').openKeyCursor(null, 'nextunique');
+  while (cursor) {
+    tags.push(cursor.key);
+    cursor = await cursor.continue();
+  }
+  return tags;
+}
+
+/**
+ * Get videos with a given upload status, via the `uploadStatus` index
+ * @param {string} status - One of UploadStatus
+ * @returns {Promise<Array>} - Array of video objects
+ */
+export async function getVideosByUploadStatus(status) {
+  const db = await dbPromise;
+  return db.getAllFromIndex(STORE_NAME, 'uploadStatus', status);
+}
+
+/**
+ * Get videos whose file has exactly the given size, via the `size` index
+ * @param {number} size - Size in bytes
+ * @returns {Promise<Array>} - Array of video objects
+ */
+export async function getVideosBySize(size) {
+  const db = await dbPromise;
+  return db.getAllFromIndex(STORE_NAME, SortField.SIZE, size);
+}
+
+/**
+ * Get videos whose current file has the given SHA-256, via the `sha256` index
+ * @param {string} sha256 - Hex digest
+ * @returns {Promise<Array>} - Array of video objects
+ */
+export async function getVideosByHash(sha256) {
+  const db = await dbPromise;
+  return db.getAllFromIndex(STORE_NAME, 'sha256', sha256);
+}
+
+/**
+ * Get a single video from IndexedDB
+ * @param {string} id - Video ID
+ * @returns {Promise<Object|undefined>} - Video object
+ */
+export async function getVideo(id) {
+  const db = await dbPromise;
+  return db.get(STORE_NAME, id);
+}
+
+/**
+ * Delete a video (and any queued upload for it) from IndexedDB
  * @param {string} id - Video ID
  */
 export async function deleteVideo(id) {
   const db = await dbPromise;
-  await db.delete(STORE_NAME, id);
+  const tx = db.transaction([STORE_NAME, QUEUE_STORE], 'readwrite');
+  tx.objectStore(STORE_NAME).delete(id);
+  tx.objectStore(QUEUE_STORE).delete(id);
+  await tx.done;
+  notifyVideosChanged([id], { deleted: true });
+}
+
+/**
+ * Delete several videos (and their queued uploads) in one transaction
+ * @param {Array<string>} ids - Video IDs
+ */
+export async function deleteVideos(ids) {
+  const db = await dbPromise;
+  const tx = db.transaction([STORE_NAME, QUEUE_STORE], 'readwrite');
+  ids.forEach((id) => {
+    tx.objectStore(STORE_NAME).delete(id);
+    tx.objectStore(QUEUE_STORE).delete(id);
+  });
+  await tx.done;
+  notifyVideosChanged(ids, { deleted: true });
 }
 
 /**
- * Update video upload status
+ * Update fields of a video record
  * @param {string} id - Video ID
- * @param {boolean} uploaded - Upload status
+ * @param {Object} patch - Fields to change; `id` cannot be patched
+ * @returns {Promise<Object|undefined>} - Updated video, or undefined if it does not exist
  */
-export async function updateVideo(id, uploaded) {
+export async function updateVideo(id, patch) {
   const db = await dbPromise;
-  const video = await db.get(STORE_NAME, id);
-  if (video) {
-    video.uploaded = uploaded;
-    await db.put(STORE_NAME, video);
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  const video = await tx.store.get(id);
+  if (!video) {
+    await tx.done;
+    return undefined;
   }
+
+  const { id: _id, ...changes } = patch;
+  const updated = withDerivedFields({ ...video, ...changes });
+  if ('uploaded' in changes) {
+    updated.uploadStatus = changes.uploaded ? UploadStatus.UPLOADED : (changes.uploadStatus || UploadStatus.LOCAL);
+  }
+
+  tx.store.put(updated);
+  await tx.done;
+  notifyVideosChanged([id]);
+  return updated;
+}
+
+/**
+ * Replace a video's file with a new version (e.g. a compressed copy), keeping the previous one
+ * Any resumable upload state belonged to the old file and is discarded.
+ * @param {string} id - Video ID
+ * @param {Blob} blob - New file
+ * @param {Object} [fields] - Fields that changed with the file (mimeType, width, height...)
+ * @param {string} [fields.reason] - Why the version was created, stored with the previous version
+ * @returns {Promise<Object|undefined>} - Updated video
+ */
+export async function addVideoVersion(id, blob, { reason, ...fields } = {}) {
+  const db = await dbPromise;
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  const video = await tx.store.get(id);
+  if (!video) {
+    await tx.done;
+    return undefined;
+  }
+
+  const mimeType = fields.mimeType || blob.type;
+  const previous = {
+    blob: video.blob,
+    mimeType: video.mimeType,
+    extension: video.extension,
+    sha256: video.sha256,
+    width: video.width,
+    height: video.height,
+    replacedAt: Date.now(),
+    reason: reason || null,
+  };
+  const updated = withDerivedFields({
+    ...video,
+    ...fields,
+    blob,
+    // The new file is hashed when it is next uploaded
+    sha256: null,
+    mimeType,
+    extension: getFileExtension(mimeType),
+    versions: [...(video.versions || []), previous],
+    uploadState: null,
+    uploadError: null,
+  });
+
+  tx.store.put(updated);
+  await tx.done;
+  notifyVideosChanged([id]);
+  return updated;
+}
+
+/**
+ * Record a failed upload attempt: mark the video failed and add the error to its history
+ * @param {string} id - Video ID
+ * @param {Object} error - Serialized upload error (see serializeUploadError)
+ * @returns {Promise<Object|undefined>} - Updated video
+ */
+export async function recordUploadError(id, error) {
+  const db = await dbPromise;
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  const video = await tx.store.get(id);
+  if (!video) {
+    await tx.done;
+    return undefined;
+  }
+
+  const updated = {
+    ...video,
+    uploadStatus: UploadStatus.FAILED,
+    uploadError: error,
+    uploadErrors: [...(video.uploadErrors || []), error].slice(-MAX_UPLOAD_ERRORS),
+  };
+  tx.store.put(updated);
+  await tx.done;
+  notifyVideosChanged([id]);
+  return updated;
+}
+
+/**
+ * Mark a video uploaded and remember where it went
+ * @param {string} id - Video ID
+ * @param {Object} remote
+ * @param {string} remote.provider - Upload provider name
+ * @param {string} remote.remoteId - Provider-specific id (Cloudinary public id, S3 key, tus upload id)
+ * @param {string} remote.url - Remote URL
+ * @param {number} [remote.bytes] - Size of the stored file as reported by the provider
+ * @param {string} [remote.etag] - Etag reported by the provider, if any
+ */
+export async function markUploaded(id, { provider, remoteId, url, bytes = null, etag = null }) {
+  await updateVideo(id, {
+    uploaded: true,
+    uploadState: null,
+    uploadError: null,
+    provider,
+    remoteId,
+    remoteUrl: url,
+    remoteBytes: bytes,
+    remoteEtag: etag,
+    verifiedAt: null,
+  });
+}
+
+/**
+ * Persist the resumable upload state of a video
+ * @param {string} id - Video ID
+ * @param {Object|null} uploadState - Provider-specific resume state (e.g. chunked upload id and confirmed offset)
+ */
+export async function saveUploadState(id, uploadState) {
+  await updateVideo(id, { uploadState });
+}
+
+/**
+ * Get all upload queue items
+ * @returns {Promise<Array>} - Array of queue items
+ */
+export async function getQueueItems() {
+  const db = await dbPromise;
+  return db.getAll(QUEUE_STORE);
+}
+
+/**
+ * Get the upload queue item for a video
+ * @param {string} videoId - Video ID
+ * @returns {Promise<Object|undefined>} - Queue item
+ */
+export async function getQueueItem(videoId) {
+  const db = await dbPromise;
+  return db.get(QUEUE_STORE, videoId);
+}
+
+/**
+ * Atomically read-modify-write an upload queue item
+ * Runs in a single transaction, so pages and the service worker never both claim the same item.
+ * @param {string} videoId - Video ID
+ * @param {Function} update - Receives the current item (or undefined) and returns the new item, or null to leave it unchanged
+ * @returns {Promise<Object|null>} - The written item, or null if nothing was written
+ */
+export async function updateQueueItem(videoId, update) {
+  const db = await dbPromise;
+  const tx = db.transaction(QUEUE_STORE, 'readwrite');
+  const next = update(await tx.store.get(videoId));
+  if (next) {
+    tx.store.put(next);
+  }
+  await tx.done;
+  return next || null;
+}
+
+/**
+ * Insert or replace an upload queue item
+ * @param {Object} item - Queue item keyed by `videoId`
+ */
+export async function putQueueItem(item) {
+  const db = await dbPromise;
+  await db.put(QUEUE_STORE, item);
 }
@@ -0,0 +1,86 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { importVideo, queryVideos, getVideoIds, deleteVideos, createSession, appendChunk, recoverSessions, SortField } from './db';
+
+/**
+ * Read every page of a query and return the ids in order
+ */
+async function readAllPages(options) {
+  const ids = [];
+  let after = null;
+  do {
+    const page = await queryVideos({ ...options, after });
+    ids.push(...page.videos.map(video => video.id));
+    after = page.next;
+  } while (after);
+  return ids;
+}
+
+describe('queryVideos', () => {
+  beforeEach(async () => {
+    await deleteVideos(await getVideoIds());
+  });
+
+  it('returns every video exactly once across pages', async () => {
+    for (let i = 1; i <= 7; i++) {
+      await importVideo({ id: `video-${i}`, createdAt: i * 1000, blob: new Blob(['x'.repeat(i)]) });
+    }
+
+    const ids = await readAllPages({ sortBy: SortField.CREATED_AT, direction: 'prev', limit: 3 });
+
+    expect(ids).toEqual(['video-7', 'video-6', 'video-5', 'video-4', 'video-3', 'video-2', 'video-1']);
+  });
+
+  it('keeps ties on the sort key and videos missing from the sort index', async () => {
+    // Same creation time for several videos, and some without a duration (not in the duration index)
+    const fields = [
+      { id: 'a', duration: 5 },
+      { id: 'b', duration: 5 },
+      { id: 'c', duration: 5 },
+      { id: 'd', duration: 2 },
+      { id: 'e', duration: null },
+      { id: 'f', duration: null },
+      { id: 'g', duration: 9 },
+    ];
+    for (const video of fields) {
+      await importVideo({ ...video, createdAt: 1000, blob: new Blob(['x']) });
+    }
+
+    const byDuration = await readAllPages({ sortBy: SortField.DURATION, direction: 'next', limit: 2 });
+    const byCreation = await readAllPages({ sortBy: SortField.CREATED_AT, direction: 'prev', limit: 3 });
+
+    expect(byDuration).toEqual(['d', 'a', 'b', 'c', 'g', 'e', 'f']);
+    expect([...byCreation].sort()).toEqual(['a', 'b', 'c', 'd', 'e', 'f', 'g']);
+    expect(new Set(byCreation).size).toBe(7);
+  });
+
+  it('has no next page when the last page is full', async () => {
+    for (let i = 1; i <= 3; i++) {
+      await importVideo({ id: `video-${i}`, createdAt: i, blob: new Blob(['x']) });
+    }
+
+    const page = await queryVideos({ limit: 3 });
+
+    expect(page.videos).toHaveLength(3);
+    expect(page.next).toBeNull();
+  });
+});
+
+describe('recoverSessions', () => {
+  beforeEach(async () => {
+    await deleteVideos(await getVideoIds());
+  });
+
+  it('recovers a session once when recovery runs twice at the same time', async () => {
+    const { id: sessionId, release } = await createSession('video/mp4');
+    release();
+    await appendChunk(sessionId, 0, new Blob(['first']));
+    await appendChunk(sessionId, 1, new Blob(['second']));
+
+    const [first, second] = await Promise.all([recoverSessions(), recoverSessions()]);
+
+    expect([...first, ...second]).toHaveLength(1);
+    expect(await getVideoIds()).toEqual([...first, ...second]);
+    expect(await recoverSessions()).toEqual([]);
+  });
+});
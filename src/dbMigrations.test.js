@@ -0,0 +1,113 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { openDB, deleteDB } from 'idb';
+
+const DB_NAME = 'video-recorder-db';
+
+describe('migrations', () => {
+  let current = null;
+
+  /**
+   * Open the database at the current version, as the app does on load
+   */
+  async function openCurrent() {
+    const db = await import('./db');
+    current = await db.dbPromise;
+    return db;
+  }
+
+  beforeEach(async () => {
+    current?.close();
+    current = null;
+    vi.resetModules();
+    await deleteDB(DB_NAME);
+  });
+
+  it('upgrades a version 1 library through every migration', async () => {
+    // The first release: one store of bare records
+    const legacy = await openDB(DB_NAME, 1, {
+      upgrade(db) {
+        db.createObjectStore('videos', { keyPath: 'id' });
+      },
+    });
+    await legacy.put('videos', { id: 'video-1', blob: new Blob(['abcd'], { type: 'video/webm;codecs=vp8' }), uploaded: false });
+    legacy.close();
+
+    const { getVideo, queryVideos, getQueueItems, createSession, appendChunk, recoverSessions, SortField, UploadStatus } = await openCurrent();
+
+    expect([...current.objectStoreNames].sort()).toEqual(['chunks', 'sessions', 'uploadQueue', 'videos']);
+    expect([...current.transaction('videos').store.indexNames].sort())
+      .toEqual(['createdAt', 'duration', 'searchTerms', 'sha256', 'size', 'tags', 'uploadStatus']);
+
+    const video = await getVideo('video-1');
+    expect(video).toMatchObject({
+      mimeType: 'video/webm;codecs=vp8',
+      extension: 'webm',
+      uploaded: false,
+      uploadStatus: UploadStatus.LOCAL,
+      uploadState: null,
+      title: '',
+      tags: [],
+      searchTerms: [],
+      notes: '',
+      versions: [],
+      size: 4,
+      uploadError: null,
+      uploadErrors: [],
+      sha256: null,
+      remoteBytes: null,
+      remoteEtag: null,
+    });
+    expect(video.createdAt).toEqual(expect.any(Number));
+
+    // Every store and index added since version 1 is usable
+    expect((await queryVideos({ sortBy: SortField.SIZE })).videos.map(({ id }) => id)).toEqual(['video-1']);
+    expect(await getQueueItems()).toEqual([]);
+    const { id: sessionId, release } = await createSession('video/mp4');
+    release();
+    await appendChunk(sessionId, 0, new Blob(['chunk']));
+    expect(await recoverSessions()).toHaveLength(1);
+  });
+
+  it('upgrades a version 3 video to the current record shape', async () => {
+    // A library written before version 4: bare records with a string upload error
+    const legacy = await openDB(DB_NAME, 3, {
+      upgrade(db) {
+        db.createObjectStore('videos', { keyPath: 'id' });
+        db.createObjectStore('sessions', { keyPath: 'id' });
+        db.createObjectStore('chunks', { keyPath: ['sessionId', 'seq'] });
+        db.createObjectStore('uploadQueue', { keyPath: 'videoId' });
+      },
+    });
+    await legacy.put('videos', {
+      id: 'video-1',
+      blob: new Blob(['abc'], { type: 'video/mp4;codecs=avc1' }),
+      createdAt: 1000,
+      uploaded: true,
+      tags: [' Demo ', 'demo'],
+      uploadError: 'Network down',
+    });
+    legacy.close();
+
+    const { getVideo, getVideosByUploadStatus, UploadStatus } = await openCurrent();
+    const video = await getVideo('video-1');
+
+    expect(video).toMatchObject({
+      createdAt: 1000,
+      mimeType: 'video/mp4;codecs=avc1',
+      extension: 'mp4',
+      uploaded: true,
+      uploadStatus: UploadStatus.UPLOADED,
+      tags: ['demo'],
+      searchTerms: ['demo'],
+      size: 3,
+      notes: '',
+      versions: [],
+      uploadError: { code: 'unknown', message: 'Network down', status: null, body: null, at: null },
+      sha256: null,
+      remoteBytes: null,
+    });
+    expect(video.uploadErrors).toEqual([video.uploadError]);
+    expect((await getVideosByUploadStatus(UploadStatus.UPLOADED)).map(({ id }) => id)).toEqual(['video-1']);
+  });
+});
@@ -0,0 +1,23 @@
+// Save blobs to the device
+
+import { getFileExtension } from './codecs';
+
+/**
+ * Trigger a browser download of a blob
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download filename for a video record, with the extension of its actual format
+ */
+export function getVideoFilename(video) {
+  const extension = video.extension || getFileExtension(video.mimeType || video.blob?.type);
+  return `${video.title || video.id}.${extension}`;
+}
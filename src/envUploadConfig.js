@@ -0,0 +1,36 @@
+// Upload settings of the demo app, read from its `VITE_*` build variables.
+// Only the app and its service worker import this; the library build takes its settings from the embedding app.
+
+import { createHttpError } from './uploadErrors';
+
+const SIGNING_TOKEN_ENDPOINT = import.meta.env.VITE_CLOUDINARY_SIGNING_TOKEN_ENDPOINT;
+
+/**
+ * Ask the app's backend for a signing token; the session cookie tells it who the user is
+ */
+async function fetchSigningToken(signal) {
+  const response = await fetch(SIGNING_TOKEN_ENDPOINT, { method: 'POST', credentials: 'include', signal });
+  if (!response.ok) {
+    throw createHttpError(response, null, `Signing token request failed with status ${response.status}`);
+  }
+  const { token } = await response.json();
+  return token;
+}
+
+/** @type {import('./uploadConfig').UploadConfig} */
+export const envUploadConfig = {
+  provider: import.meta.env.VITE_UPLOAD_PROVIDER,
+  cloudinary: {
+    cloudName: import.meta.env.VITE_CLOUDINARY_CLOUD_NAME,
+    uploadPreset: import.meta.env.VITE_CLOUDINARY_UPLOAD_PRESET,
+    apiKey: import.meta.env.VITE_CLOUDINARY_API_KEY,
+    signingEndpoint: import.meta.env.VITE_CLOUDINARY_SIGNING_ENDPOINT,
+    getSigningToken: SIGNING_TOKEN_ENDPOINT ? fetchSigningToken : undefined,
+  },
+  s3: {
+    presignEndpoint: import.meta.env.VITE_S3_PRESIGN_ENDPOINT,
+  },
+  tus: {
+    endpoint: import.meta.env.VITE_TUS_ENDPOINT,
+  },
+};
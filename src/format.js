@@ -0,0 +1,17 @@
+// Display formatting shared by the recorder and the library
+
+/**
+ * Format seconds as mm:ss
+ */
+export function formatTime(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Format a timestamp in the user's locale
+ */
+export function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString();
+}
@@ -0,0 +1,19 @@
+// Content hashes of recordings, used to name uploads and to spot duplicates
+
+import { sha256 } from '@noble/hashes/sha2.js';
+import { bytesToHex } from '@noble/hashes/utils.js';
+
+// Bytes read from the file at a time, so hashing never holds a second copy of a large recording
+const HASH_SLICE_SIZE = 4 * 1024 * 1024;
+
+/**
+ * SHA-256 of a blob as a hex string, read in slices
+ * Web Crypto can only digest one buffer, which for a long recording means reading the whole file into memory.
+ */
+export async function hashBlob(blob) {
+  const hash = sha256.create();
+  for (let offset = 0; offset < blob.size; offset += HASH_SLICE_SIZE) {
+    hash.update(new Uint8Array(await blob.slice(offset, offset + HASH_SLICE_SIZE).arrayBuffer()));
+  }
+  return bytesToHex(hash.digest());
+}
@@ -0,0 +1,7 @@
+// Public entry of the embeddable recorder library, built with `npm run build:lib`
+
+export { default as VideoRecorder } from './VideoRecorder';
+export { useMediaRecorder } from './useMediaRecorder';
+export { CaptureMode } from './recorderSettings';
+export { cancelUpload, pauseUpload, resumeUpload } from './uploadQueue';
+export { configureUploads } from './uploadConfig';
@@ -0,0 +1,245 @@
+// Export the library to a ZIP archive with a JSON manifest, and import it again in another browser
+
+import { getVideo, getVideosByHash, getVideosBySize, importVideo } from './db';
+import { createZip, readZip } from './zip';
+import { getFileExtension } from './codecs';
+import { hashBlob } from './hash';
+import { BulkStatus } from './bulkStatus';
+import { findUploadProvider } from './uploadProviders';
+
+const MANIFEST_NAME = 'manifest.json';
+const ARCHIVE_FORMAT = 'videovault-library';
+const ARCHIVE_VERSION = 1;
+
+// Record fields carried over in the manifest; derived fields are rebuilt on import
+const EXPORTED_FIELDS = [
+  'id', 'createdAt', 'mimeType', 'duration', 'width', 'height', 'title', 'notes', 'tags',
+  'sourceId', 'recovered', 'uploaded', 'provider', 'remoteId', 'remoteUrl', 'remoteBytes', 'remoteEtag', 'size',
+];
+
+const isString = value => typeof value === 'string';
+const isCount = value => Number.isFinite(value) && value >= 0;
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// What each manifest field must look like; fields that do not match are dropped
+const FIELD_CHECKS = {
+  createdAt: Number.isFinite,
+  mimeType: value => isString(value) && value.startsWith('video/'),
+  duration: isCount,
+  width: isCount,
+  height: isCount,
+  title: isString,
+  notes: isString,
+  tags: value => Array.isArray(value) && value.every(isString),
+  sourceId: isString,
+  recovered: value => typeof value === 'boolean',
+  uploaded: value => typeof value === 'boolean',
+  provider: value => isString(value) && findUploadProvider(value) !== null,
+  remoteId: isString,
+  remoteUrl: isHttpUrl,
+  remoteBytes: isCount,
+  remoteEtag: isString,
+  size: isCount,
+};
+
+// Only meaningful together with a known provider and a valid remote URL
+const REMOTE_FIELDS = ['uploaded', 'provider', 'remoteId', 'remoteUrl', 'remoteBytes', 'remoteEtag'];
+
+/**
+ * The fields of a manifest entry that are safe to store: known fields of the expected type,
+ * and the cloud copy only if its provider exists here and its URL is http(s)
+ */
+function sanitizeRecord(record) {
+  const fields = Object.fromEntries(Object.entries(FIELD_CHECKS)
+    .filter(([field, isValid]) => record[field] !== undefined && record[field] !== null && isValid(record[field]))
+    .map(([field]) => [field, record[field]]));
+
+  if (!fields.provider || !fields.remoteUrl) {
+    REMOTE_FIELDS.forEach(field => delete fields[field]);
+  }
+  return fields;
+}
+
+function result(id, label, status, message = null) {
+  return { id, label: label || 'Untitled', status, message };
+}
+
+/**
+ * Bundle videos into a ZIP archive: `manifest.json`, `videos/<id>.<ext>` and `thumbnails/<id>.jpg`.
+ * Videos whose local copy was removed are exported as metadata with their remote URL.
+ * Previous versions (e.g. before compression) are not exported.
+ * @param {Array<string>} ids - Video IDs
+ * @param {Function} [onResult] - Called with the results so far after each video
+ * @returns {Promise<{archive: Blob, results: Array<Object>}>}
+ */
+export async function exportLibrary(ids, onResult) {
+  const files = [];
+  const records = [];
+  const results = [];
+
+  for (const id of ids) {
+    const video = await getVideo(id);
+    if (!video) {
+      results.push(result(id, null, BulkStatus.SKIPPED, 'Video no longer exists'));
+    } else {
+      const record = Object.fromEntries(EXPORTED_FIELDS.map(field => [field, video[field] ?? null]));
+      record.file = null;
+      record.sha256 = null;
+      record.thumbnail = null;
+
+      if (video.blob) {
+        record.file = `videos/${video.id}.${video.extension || getFileExtension(video.mimeType)}`;
+        record.sha256 = video.sha256 || await hashBlob(video.blob);
+        files.push({ name: record.file, blob: video.blob });
+      }
+      if (video.thumbnail) {
+        record.thumbnail = `thumbnails/${video.id}.jpg`;
+        files.push({ name: record.thumbnail, blob: video.thumbnail });
+      }
+
+      records.push(record);
+      results.push(result(id, video.title, BulkStatus.OK, video.blob ? null : 'Cloud only; exported without the file'));
+    }
+    if (onResult) {
+      onResult([...results]);
+    }
+  }
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: Date.now(),
+    videos: records,
+  };
+  const manifestBlob = new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' });
+  const archive = await createZip([{ name: MANIFEST_NAME, blob: manifestBlob }, ...files]);
+
+  return { archive, results };
+}
+
+/**
+ * Read and check the manifest of an exported archive
+ */
+async function readManifest(entries) {
+  const manifestEntry = entries.get(MANIFEST_NAME);
+  if (!manifestEntry) {
+    throw new Error('Not a VideoVault export: manifest.json is missing');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await manifestEntry.text());
+  } catch {
+    throw new Error('manifest.json is not valid JSON');
+  }
+  if (manifest?.format !== ARCHIVE_FORMAT || !Array.isArray(manifest.videos)) {
+    throw new Error('Not a VideoVault export');
+  }
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new Error('This export was made by a newer version of the app');
+  }
+  return manifest;
+}
+
+/**
+ * Whether a video with the same content is already in the library
+ * Videos saved before hashes were stored are only hashed if they have exactly the same size.
+ */
+async function hasSameContent(blob, sha256) {
+  if ((await getVideosByHash(sha256)).some(video => video.blob)) {
+    return true;
+  }
+  const candidates = await getVideosBySize(blob.size);
+  for (const video of candidates) {
+    if (video.blob && !video.sha256 && await hashBlob(video.blob) === sha256) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Restore videos from an exported archive.
+ * Each file is checked against the size and SHA-256 in the manifest. Videos whose id
+ * or content is already in the library are skipped. Manifest fields of the wrong type are dropped,
+ * and so is a cloud copy on a provider this app does not have; an entry left with neither a file
+ * nor a cloud copy fails.
+ * @param {Blob} file - ZIP archive made by exportLibrary
+ * @param {Function} [onResult] - Called with the results so far and the number of videos in the archive, after each video
+ * @returns {Promise<Array<Object>>} - One result per video in the archive
+ */
+export async function importLibrary(file, onResult) {
+  const entries = await readZip(file);
+  const manifest = await readManifest(entries);
+  const importedHashes = new Set();
+  const results = [];
+
+  for (const record of manifest.videos) {
+    const { id, file: fileName, sha256, thumbnail: thumbnailName } = record || {};
+    const title = isString(record?.title) ? record.title : null;
+    try {
+      if (!isString(id) || !id) {
+        throw new Error('Entry has no id');
+      }
+      if ((fileName != null && !isString(fileName)) || (thumbnailName != null && !isString(thumbnailName))) {
+        throw new Error('Entry has an invalid file name');
+      }
+      if (fileName && !(isString(sha256) && /^[0-9a-f]{64}$/.test(sha256))) {
+        throw new Error('Entry has no valid SHA-256');
+      }
+      const fields = sanitizeRecord(record);
+      if (!fileName && !fields.remoteUrl) {
+        throw new Error('Entry has neither a file nor a cloud copy this app can use');
+      }
+
+      if (await getVideo(id)) {
+        results.push(result(id, title, BulkStatus.SKIPPED, 'Already in the library'));
+      } else {
+        let blob = null;
+        if (fileName) {
+          const entry = entries.get(fileName);
+          if (!entry) {
+            throw new Error(`${fileName} is missing from the archive`);
+          }
+          blob = new Blob([entry], { type: fields.mimeType || '' });
+          if ((fields.size !== undefined && blob.size !== fields.size) || await hashBlob(blob) !== sha256) {
+            throw new Error(`${fileName} is damaged`);
+          }
+        }
+
+        if (blob && (importedHashes.has(sha256) || await hasSameContent(blob, sha256))) {
+          results.push(result(id, title, BulkStatus.SKIPPED, 'Same video is already in the library'));
+        } else {
+          const thumbnailEntry = thumbnailName ? entries.get(thumbnailName) : null;
+          const imported = await importVideo({
+            ...fields,
+            id,
+            sha256: blob ? sha256 : null,
+            blob,
+            thumbnail: thumbnailEntry ? new Blob([thumbnailEntry], { type: 'image/jpeg' }) : null,
+          });
+          if (blob) {
+            importedHashes.add(sha256);
+          }
+          results.push(imported
+            ? result(id, title, BulkStatus.OK, blob ? null : 'Cloud only; restored without the file')
+            : result(id, title, BulkStatus.SKIPPED, 'Already in the library'));
+        }
+      }
+    } catch (error) {
+      results.push(result(id || `entry-${results.length}`, title, BulkStatus.FAILED, error.message));
+    }
+    if (onResult) {
+      onResult([...results], manifest.videos.length);
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,70 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { importLibrary } from './libraryArchive';
+import { createZip } from './zip';
+import { getVideo, getVideoIds, deleteVideos } from './db';
+import { BulkStatus } from './bulkStatus';
+
+/**
+ * Build an archive from manifest entries, plus files by name
+ */
+function createArchive(videos, files = []) {
+  const manifest = { format: 'videovault-library', version: 1, exportedAt: 0, videos };
+  return createZip([
+    { name: 'manifest.json', blob: new Blob([JSON.stringify(manifest)]) },
+    ...files,
+  ]);
+}
+
+describe('importLibrary', () => {
+  beforeEach(async () => {
+    await deleteVideos(await getVideoIds());
+  });
+
+  it('rejects a cloud-only entry whose provider is unknown', async () => {
+    const archive = await createArchive([
+      { id: 'unknown', provider: 'nope', remoteUrl: 'https://example.com/video.webm', uploaded: true, file: null },
+      { id: 'no-provider', provider: null, remoteUrl: 'https://example.com/video.webm', uploaded: true, file: null },
+    ]);
+
+    const results = await importLibrary(archive);
+
+    expect(results.map(result => result.status)).toEqual([BulkStatus.FAILED, BulkStatus.FAILED]);
+    expect(await getVideoIds()).toEqual([]);
+  });
+
+  it('drops fields of the wrong type and a cloud copy it cannot use', async () => {
+    const blob = new Blob(['video data'], { type: 'video/mp4' });
+    const sha256 = [...new Uint8Array(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()))]
+      .map(byte => byte.toString(16).padStart(2, '0')).join('');
+    const archive = await createArchive([{
+      id: 'video-1',
+      title: 42,
+      tags: 'not-a-list',
+      duration: 'long',
+      mimeType: 'video/mp4',
+      provider: 'nope',
+      remoteUrl: 'javascript:alert(1)',
+      uploaded: true,
+      file: 'videos/video-1.mp4',
+      sha256,
+    }], [{ name: 'videos/video-1.mp4', blob }]);
+
+    const [result] = await importLibrary(archive);
+    const video = await getVideo('video-1');
+
+    expect(result.status).toBe(BulkStatus.OK);
+    expect(video).toMatchObject({ title: '', tags: [], duration: null, provider: null, remoteUrl: null, uploaded: false });
+  });
+
+  it('keeps a cloud copy on a known provider', async () => {
+    const archive = await createArchive([
+      { id: 'cloud', provider: 's3', remoteUrl: 'https://bucket.example.com/a.webm', remoteId: 'a.webm', uploaded: true, file: null },
+    ]);
+
+    const [result] = await importLibrary(archive);
+
+    expect(result.status).toBe(BulkStatus.OK);
+    expect(await getVideo('cloud')).toMatchObject({ provider: 's3', remoteUrl: 'https://bucket.example.com/a.webm', uploaded: true });
+  });
+});
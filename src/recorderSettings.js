@@ -0,0 +1,156 @@
+// Camera and recording settings: presets, persistence and media constraints
+
+import { MAX_FILE_SIZE } from './uploadUtils';
+
+const SETTINGS_KEY = 'video-recorder-settings';
+
+export const RESOLUTIONS = {
+  '480p': { label: '480p', width: 854, height: 480 },
+  '720p': { label: '720p (HD)', width: 1280, height: 720 },
+  '1080p': { label: '1080p (Full HD)', width: 1920, height: 1080 },
+};
+
+export const FRAME_RATES = [24, 30, 60];
+
+export const QUALITIES = {
+  low: { label: 'Data saver', videoBitsPerSecond: 1_000_000 },
+  standard: { label: 'Standard', videoBitsPerSecond: 2_500_000 },
+  high: { label: 'High', videoBitsPerSecond: 5_000_000 },
+};
+
+// Per-clip limits; 0 means no limit of that kind
+export const DURATION_LIMITS = [0, 1, 5, 10, 30]; // minutes
+export const SIZE_LIMITS = [0, 25, 50, 95]; // MB
+
+export const LimitAction = {
+  STOP: 'stop',
+  SPLIT: 'split',
+};
+
+// What a recording captures; the screen modes are implemented in screenCapture.js
+export const CaptureMode = {
+  CAMERA: 'camera',
+  SCREEN: 'screen',
+  SCREEN_CAMERA: 'screen-camera',
+};
+
+export const CAPTURE_MODE_LABELS = {
+  [CaptureMode.CAMERA]: 'Camera',
+  [CaptureMode.SCREEN]: 'Screen',
+  [CaptureMode.SCREEN_CAMERA]: 'Screen + camera',
+};
+
+const MB = 1024 * 1024;
+
+const DEFAULT_SETTINGS = {
+  captureMode: CaptureMode.CAMERA,
+  videoDeviceId: '',
+  audioDeviceId: '',
+  facingMode: 'user',
+  resolution: '720p',
+  frameRate: 30,
+  quality: 'standard',
+  maxDurationMinutes: 0,
+  maxSizeMB: 95,
+  limitAction: LimitAction.STOP,
+};
+
+/**
+ * Load recorder settings saved between sessions
+ */
+export function getRecorderSettings() {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Save recorder settings
+ */
+export function saveRecorderSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Build getUserMedia constraints from settings
+ * A chosen camera wins over the front/rear facing mode.
+ */
+export function buildMediaConstraints(settings) {
+  const { width, height } = RESOLUTIONS[settings.resolution] || RESOLUTIONS[DEFAULT_SETTINGS.resolution];
+
+  return {
+    video: {
+      ...(settings.videoDeviceId
+        ? { deviceId: { exact: settings.videoDeviceId } }
+        : { facingMode: settings.facingMode }),
+      width: { ideal: width },
+      height: { ideal: height },
+      frameRate: { ideal: settings.frameRate },
+    },
+    audio: settings.audioDeviceId ? { deviceId: { exact: settings.audioDeviceId } } : true,
+  };
+}
+
+/**
+ * Video bitrate for MediaRecorder
+ */
+export function getVideoBitsPerSecond(settings) {
+  return (QUALITIES[settings.quality] || QUALITIES[DEFAULT_SETTINGS.quality]).videoBitsPerSecond;
+}
+
+/**
+ * Roughly how many minutes fit under the upload size limit at the chosen bitrate
+ */
+export function estimateMinutesUntilLimit(settings) {
+  return Math.floor((MAX_FILE_SIZE * 8) / getVideoBitsPerSecond(settings) / 60);
+}
+
+/**
+ * Limits a recording must stay under, in bytes and milliseconds (Infinity when unlimited)
+ * The size limit never exceeds the upload limit, so every clip stays uploadable.
+ */
+export function getRecordingLimits(settings) {
+  const maxBytes = Math.min(settings.maxSizeMB ? settings.maxSizeMB * MB : Infinity, MAX_FILE_SIZE);
+  // Chunks arrive once a second; stop with two seconds of headroom so the final chunk still fits
+  const headroom = (2 * getVideoBitsPerSecond(settings)) / 8;
+
+  return {
+    maxBytes: maxBytes - headroom,
+    maxDuration: settings.maxDurationMinutes ? settings.maxDurationMinutes * 60 * 1000 : Infinity,
+    action: settings.limitAction,
+  };
+}
+
+/**
+ * Which limit a clip has reached, if any
+ * @param {{bytes: number, duration: number}} clip - Bytes recorded and active duration (ms) so far
+ * @param {Object} limits - From getRecordingLimits
+ * @returns {'size'|'duration'|null}
+ */
+export function getReachedLimit(clip, limits) {
+  if (clip.bytes >= limits.maxBytes) {
+    return 'size';
+  }
+  if (clip.duration >= limits.maxDuration) {
+    return 'duration';
+  }
+  return null;
+}
+
+/**
+ * List cameras and microphones (labels are only available after permission is granted)
+ * @returns {Promise<{cameras: Array<MediaDeviceInfo>, microphones: Array<MediaDeviceInfo>}>}
+ */
+export async function listMediaDevices() {
+  if (!navigator.mediaDevices?.enumerateDevices) {
+    return { cameras: [], microphones: [] };
+  }
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return {
+    cameras: devices.filter(device => device.kind === 'videoinput'),
+    microphones: devices.filter(device => device.kind === 'audioinput'),
+  };
+}
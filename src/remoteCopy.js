@@ -0,0 +1,61 @@
+// Check that an uploaded video's remote copy still exists and matches what the provider reported
+
+import { updateVideo } from './db';
+import { getUploadProvider } from './uploadProviders';
+import { formatBytes } from './uploadUtils';
+
+/**
+ * Compare etags without their weak prefix and quotes
+ */
+function normalizeEtag(etag) {
+  return etag ? etag.replace(/^W\//, '').replace(/"/g, '') : null;
+}
+
+/**
+ * Check an uploaded video's remote copy with a HEAD request (see `inspect` in uploadProviders.js).
+ * The copy must exist and have the size the provider reported for the upload, which must also be the
+ * size of the local file. Etags are compared when the provider can read one. Success is saved as `verifiedAt`.
+ * @param {Object} video - Video record
+ * @returns {Promise<{verified: boolean, message: string, video: Object}>} - Result, with the updated record when verified
+ */
+export async function verifyRemoteCopy(video) {
+  const fail = message => ({ verified: false, message, video });
+
+  if (!video.remoteUrl) {
+    return fail('Not uploaded');
+  }
+  const expectedSize = video.remoteBytes ?? video.size;
+  if (video.blob && video.remoteBytes !== null && video.remoteBytes !== video.blob.size) {
+    return fail('The uploaded file differs from the local copy');
+  }
+
+  let remote;
+  try {
+    remote = await getUploadProvider(video.provider).inspect(video.remoteUrl);
+  } catch {
+    return fail('Could not reach the remote copy');
+  }
+  if (remote.status === 404 || remote.status === 410) {
+    return fail('The remote copy no longer exists');
+  }
+  if (remote.status < 200 || remote.status >= 300) {
+    return fail(`Checking the remote copy failed with status ${remote.status}`);
+  }
+
+  if (remote.size === null) {
+    return fail('The server did not report the size of the remote copy');
+  }
+  if (remote.size !== expectedSize) {
+    return fail(`The remote copy is ${formatBytes(remote.size)}, expected ${formatBytes(expectedSize)}`);
+  }
+
+  // Only readable when the server exposes it to the app (CORS)
+  const etag = normalizeEtag(remote.etag);
+  const expectedEtag = normalizeEtag(video.remoteEtag);
+  if (etag && expectedEtag && etag !== expectedEtag) {
+    return fail('The remote copy has changed since it was uploaded');
+  }
+
+  const updated = await updateVideo(video.id, { verifiedAt: Date.now() });
+  return { verified: true, message: 'Remote copy matches', video: updated || video };
+}
@@ -0,0 +1,196 @@
+// S3-compatible upload provider (AWS S3, MinIO, R2...) using presigned URLs
+
+import { getFileExtension } from './codecs';
+import { assertUploadable, createUploadId, headRemoteFile, sendWithProgress, withRetry } from './uploadUtils';
+import { UploadError, UploadErrorCode, createHttpError } from './uploadErrors';
+import { getUploadConfig } from './uploadConfig';
+
+const MULTIPART_THRESHOLD = 10 * 1024 * 1024; // 10MB
+const PART_SIZE = 8 * 1024 * 1024; // 8MB (S3 requires at least 5MB per part except the last)
+
+/**
+ * Presign endpoint from the upload config (`s3.presignEndpoint`)
+ */
+function getPresignEndpoint() {
+  return getUploadConfig().s3?.presignEndpoint;
+}
+
+/**
+ * Ask the presign endpoint for a signed URL or multipart operation
+ * The endpoint holds the bucket credentials; see README for the request contract.
+ */
+async function presign(action, params, signal) {
+  const response = await fetch(getPresignEndpoint(), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ action, ...params }),
+    signal
+  });
+
+  if (!response.ok) {
+    throw createHttpError(response, null, `S3 presign request "${action}" failed with status ${response.status}`);
+  }
+
+  // Answers without a body (e.g. 204 to abort-multipart) carry nothing to read
+  const text = await response.text();
+  return text ? JSON.parse(text) : {};
+}
+
+/**
+ * Object key for a new recording, named after its content hash when there is one
+ * so uploading the same file again overwrites the same object instead of adding another
+ */
+function createObjectKey(blob, contentHash) {
+  return `recordings/${contentHash || createUploadId()}.${getFileExtension(blob.type)}`;
+}
+
+/**
+ * PUT a blob (or part) to a presigned URL
+ */
+async function putToUrl(url, body, contentType, onProgress, signal) {
+  const headers = contentType ? { 'Content-Type': contentType } : {};
+  const response = await sendWithProgress('PUT', url, body, { headers, onProgress, signal });
+
+  if (!response.ok) {
+    throw createHttpError(response, null, `Upload failed with status ${response.status}`);
+  }
+
+  return response;
+}
+
+/**
+ * Upload a video to an S3-compatible bucket.
+ *
+ * Small files use a single presigned PUT. Larger files use multipart upload;
+ * after each confirmed part `onStateChange({ key, uploadId, parts })` is called
+ * so an interrupted upload can resume with the remaining parts only.
+ * Aborting `signal` stops the upload.
+ */
+export async function uploadToS3(blob, onProgress, { resumeState, onStateChange, signal, contentHash } = {}) {
+  if (!getPresignEndpoint()) {
+    throw new UploadError(UploadErrorCode.CONFIG, 'S3 presign endpoint not configured: set s3.presignEndpoint in the upload config');
+  }
+
+  assertUploadable(blob);
+
+  const report = (loaded) => {
+    if (onProgress) {
+      onProgress(Math.round((loaded / blob.size) * 100));
+    }
+  };
+
+  if (blob.size <= MULTIPART_THRESHOLD) {
+    const key = createObjectKey(blob, contentHash);
+    const { url } = await withRetry(() => presign('put', { key, contentType: blob.type }, signal), { signal });
+    const response = await withRetry(() => putToUrl(url, blob, blob.type, fraction => report(blob.size * fraction), signal), { signal });
+
+    return { key, url: url.split('?')[0], etag: response.getHeader('ETag') };
+  }
+
+  if (resumeState?.key && resumeState.uploadId) {
+    try {
+      return await uploadParts(blob, resumeState, report, onStateChange, signal);
+    } catch (error) {
+      // Expired, aborted, or completed with the response lost: the saved state is useless, start over
+      if (!isMissingUpload(error)) {
+        throw error;
+      }
+      console.warn(`S3 multipart upload ${resumeState.uploadId} no longer exists; starting a new one`);
+    }
+  }
+
+  const key = createObjectKey(blob, contentHash);
+  const { uploadId } = await withRetry(() => presign('create-multipart', { key, contentType: blob.type }, signal), { signal });
+  return uploadParts(blob, { key, uploadId, parts: [] }, report, onStateChange, signal);
+}
+
+/**
+ * Whether a request failed because the multipart upload is gone (S3's NoSuchUpload)
+ */
+function isMissingUpload(error) {
+  return error.status === 404;
+}
+
+/**
+ * Send the parts of a multipart upload that `state.parts` does not list yet, then complete it
+ */
+async function uploadParts(blob, { key, uploadId, parts: savedParts }, report, onStateChange, signal) {
+  const parts = [...savedParts];
+  const partCount = Math.ceil(blob.size / PART_SIZE);
+
+  for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+    if (parts.some(part => part.partNumber === partNumber)) {
+      continue;
+    }
+    signal?.throwIfAborted();
+
+    const start = (partNumber - 1) * PART_SIZE;
+    const end = Math.min(start + PART_SIZE, blob.size);
+    const confirmed = parts.length * PART_SIZE;
+
+    const response = await withRetry(async () => {
+      const { url } = await presign('sign-part', { key, uploadId, partNumber }, signal);
+      return putToUrl(url, blob.slice(start, end), null, fraction => report(confirmed + (end - start) * fraction), signal);
+    }, { signal });
+
+    // Requires the bucket's CORS rules to expose the ETag header
+    const etag = response.getHeader('ETag');
+    if (!etag) {
+      throw new UploadError(UploadErrorCode.CONFIG, 'S3 did not return an ETag. Expose the ETag header in the bucket CORS rules');
+    }
+
+    parts.push({ partNumber, etag });
+    if (onStateChange) {
+      await onStateChange({ key, uploadId, parts });
+    }
+  }
+
+  const result = await withRetry(() => presign('complete-multipart', {
+    key,
+    uploadId,
+    parts: parts.sort((a, b) => a.partNumber - b.partNumber)
+  }, signal), { signal });
+  report(blob.size);
+
+  return { key, url: result.location, etag: result.etag || null };
+}
+
+/**
+ * S3-compatible storage as an upload provider (see uploadProviders.js)
+ */
+export const s3Provider = {
+  name: 's3',
+  label: 'S3',
+
+  isConfigured() {
+    return Boolean(getPresignEndpoint());
+  },
+
+  // A single PUT would start over, so only multipart uploads can pause
+  canPause(blob) {
+    return blob.size > MULTIPART_THRESHOLD;
+  },
+
+  // Objects are served with the ETag their upload returned
+  inspect(url) {
+    return headRemoteFile(url);
+  },
+
+  // Parts of an abandoned multipart upload stay in the bucket (and are billed) until it is aborted
+  async discard(uploadState) {
+    if (uploadState?.key && uploadState.uploadId) {
+      await presign('abort-multipart', { key: uploadState.key, uploadId: uploadState.uploadId });
+    }
+  },
+
+  async upload(blob, onProgress, options) {
+    const result = await uploadToS3(blob, onProgress, options);
+    return {
+      url: result.url,
+      remoteId: result.key,
+      bytes: blob.size,
+      etag: result.etag,
+      response: result
+    };
+  }
+};
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { s3Provider } from './s3';
+import { configureUploads } from './uploadConfig';
+
+const PRESIGN_ENDPOINT = 'https://presign.test/';
+
+/**
+ * Stub the presign endpoint and the bucket; multipart uploads listed in `missing` answer 404 like NoSuchUpload
+ */
+function stubS3({ missing = [] } = {}) {
+  const requests = [];
+  vi.stubGlobal('fetch', vi.fn(async (url, { method, body }) => {
+    if (url === PRESIGN_ENDPOINT) {
+      const { action, ...params } = JSON.parse(body);
+      requests.push({ action, ...params });
+      switch (action) {
+        case 'create-multipart':
+          return Response.json({ uploadId: 'fresh' });
+        case 'sign-part':
+          return Response.json({ url: `https://bucket.test/${params.uploadId}/${params.partNumber}` });
+        case 'complete-multipart':
+          return missing.includes(params.uploadId)
+            ? new Response(null, { status: 404 })
+            : Response.json({ location: `https://bucket.test/${params.key}` });
+        default:
+          return new Response(null, { status: 204 });
+      }
+    }
+
+    const [uploadId, partNumber] = new URL(url).pathname.slice(1).split('/');
+    requests.push({ action: method, uploadId, partNumber: Number(partNumber) });
+    return missing.includes(uploadId)
+      ? new Response(null, { status: 404 })
+      : new Response(null, { status: 200, headers: { ETag: `"${uploadId}-${partNumber}"` } });
+  }));
+  return requests;
+}
+
+describe('s3Provider', () => {
+  // Two 8MB parts
+  const blob = new Blob([new Uint8Array(11 * 1024 * 1024)], { type: 'video/webm' });
+
+  beforeEach(() => {
+    vi.stubGlobal('navigator', { onLine: true });
+    configureUploads({ provider: 's3', s3: { presignEndpoint: PRESIGN_ENDPOINT } });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    configureUploads({});
+  });
+
+  it('starts a new multipart upload when the saved one no longer exists', async () => {
+    const requests = stubS3({ missing: ['expired'] });
+    const states = [];
+
+    const result = await s3Provider.upload(blob, null, {
+      resumeState: { key: 'recordings/old.webm', uploadId: 'expired', parts: [{ partNumber: 1, etag: '"expired-1"' }] },
+      onStateChange: state => states.push(state),
+    });
+
+    const puts = requests.filter(request => request.action === 'PUT');
+    expect(puts).toEqual([
+      { action: 'PUT', uploadId: 'expired', partNumber: 2 },
+      { action: 'PUT', uploadId: 'fresh', partNumber: 1 },
+      { action: 'PUT', uploadId: 'fresh', partNumber: 2 },
+    ]);
+    expect(states.at(-1)).toMatchObject({ uploadId: 'fresh', parts: [{ partNumber: 1 }, { partNumber: 2 }] });
+    expect(result.url).toMatch(/^https:\/\/bucket\.test\/recordings\//);
+  });
+
+  it('starts over when completing a resumed upload finds it gone', async () => {
+    const requests = stubS3({ missing: ['completed'] });
+    // Every part was confirmed, but the response to complete-multipart was lost
+    const parts = [{ partNumber: 1, etag: '"a"' }, { partNumber: 2, etag: '"b"' }];
+
+    await s3Provider.upload(blob, null, { resumeState: { key: 'recordings/done.webm', uploadId: 'completed', parts } });
+
+    expect(requests.map(request => request.action)).toEqual([
+      'complete-multipart', 'create-multipart', 'sign-part', 'PUT', 'sign-part', 'PUT', 'complete-multipart',
+    ]);
+  });
+
+  it('aborts the multipart upload of a discarded state', async () => {
+    const requests = stubS3();
+
+    await s3Provider.discard({ provider: 's3', key: 'recordings/old.webm', uploadId: 'abandoned', parts: [] });
+
+    expect(requests).toEqual([{ action: 'abort-multipart', key: 'recordings/old.webm', uploadId: 'abandoned' }]);
+  });
+});
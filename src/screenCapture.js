@@ -0,0 +1,274 @@
+// Screen recording: the shared screen alone, or with a camera bubble composited on a canvas,
+// with microphone and tab audio mixed into one track
+
+import { CaptureMode, RESOLUTIONS, buildMediaConstraints } from './recorderSettings';
+
+// Camera bubble diameter as a fraction of the shorter side of the recording, and its margin
+const BUBBLE_SIZE = 0.25;
+const BUBBLE_MARGIN = 0.03;
+
+// Streams opened here -> { size, stop } so callers can release everything behind them
+const captures = new WeakMap();
+
+/**
+ * Whether this browser can record the screen (not on most phones)
+ */
+export function isScreenCaptureSupported() {
+  return Boolean(navigator.mediaDevices?.getDisplayMedia);
+}
+
+/**
+ * The capture mode to use for the given settings; phones cannot share their screen, so they always use the camera
+ */
+export function getCaptureMode(settings) {
+  return isScreenCaptureSupported() ? settings.captureMode : CaptureMode.CAMERA;
+}
+
+/**
+ * Call `onTick` every `interval` ms, also while the tab is hidden
+ * Timers and animation frames in a hidden page are throttled, which would freeze the canvas while the
+ * user is on the tab being recorded; a worker's timer is not.
+ * @returns {Function} - Stops the ticks
+ */
+function startTicker(interval, onTick) {
+  try {
+    const url = URL.createObjectURL(new Blob([`setInterval(() => postMessage(0), ${interval});`], { type: 'text/javascript' }));
+    const worker = new Worker(url);
+    worker.onmessage = onTick;
+    return () => {
+      worker.terminate();
+      URL.revokeObjectURL(url);
+    };
+  } catch (error) {
+    console.warn('Worker timer unavailable; the recording may freeze while the tab is hidden:', error);
+    const timer = setInterval(onTick, interval);
+    return () => clearInterval(timer);
+  }
+}
+
+/**
+ * Play a stream in a detached video element so its frames can be drawn on a canvas
+ */
+async function playStream(stream) {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.srcObject = stream;
+  await video.play();
+  return video;
+}
+
+/**
+ * Mix the audio of several streams into one track with Web Audio
+ * @returns {{tracks: Array<MediaStreamTrack>, close: Function}}
+ */
+function mixAudio(streams) {
+  const sources = streams.filter(stream => stream && stream.getAudioTracks().length > 0);
+  if (sources.length === 0) {
+    return { tracks: [], close() {} };
+  }
+
+  const context = new AudioContext();
+  const destination = context.createMediaStreamDestination();
+  sources.forEach(stream => context.createMediaStreamSource(stream).connect(destination));
+  context.resume().catch(() => {});
+
+  return {
+    tracks: destination.stream.getAudioTracks(),
+    close: () => context.close().catch(() => {}),
+  };
+}
+
+/**
+ * Size of the recording: the shared screen scaled down to fit the chosen resolution, in even pixels
+ */
+function getCanvasSize(screenTrack, settings) {
+  const { width = 1280, height = 720 } = screenTrack.getSettings();
+  const box = RESOLUTIONS[settings.resolution] || RESOLUTIONS['720p'];
+  const scale = Math.min(1, box.width / width, box.height / height);
+  return {
+    width: Math.round((width * scale) / 2) * 2,
+    height: Math.round((height * scale) / 2) * 2,
+  };
+}
+
+/**
+ * Draw a video into a rectangle without cropping it (letterboxed), e.g. after the shared window was resized
+ */
+function drawContained(context, video, width, height) {
+  const { videoWidth, videoHeight } = video;
+  if (!videoWidth || !videoHeight) {
+    return;
+  }
+  const scale = Math.min(width / videoWidth, height / videoHeight);
+  const drawWidth = videoWidth * scale;
+  const drawHeight = videoHeight * scale;
+  context.drawImage(video, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+/**
+ * Draw the camera as a circle in the bottom right corner, cropped to a square from its center
+ */
+function drawBubble(context, video, width, height) {
+  const { videoWidth, videoHeight } = video;
+  if (!videoWidth || !videoHeight) {
+    return;
+  }
+  const size = Math.round(Math.min(width, height) * BUBBLE_SIZE);
+  const margin = Math.round(Math.min(width, height) * BUBBLE_MARGIN);
+  const x = width - size - margin;
+  const y = height - size - margin;
+  const side = Math.min(videoWidth, videoHeight);
+
+  context.save();
+  context.beginPath();
+  context.arc(x + size / 2, y + size / 2, size / 2, 0, Math.PI * 2);
+  context.clip();
+  context.drawImage(video, (videoWidth - side) / 2, (videoHeight - side) / 2, side, side, x, y, size, size);
+  context.restore();
+
+  context.beginPath();
+  context.arc(x + size / 2, y + size / 2, size / 2, 0, Math.PI * 2);
+  context.lineWidth = Math.max(2, size / 40);
+  context.strokeStyle = '#ffffff';
+  context.stroke();
+}
+
+/**
+ * Camera and/or microphone for a screen recording
+ * A saved device may have been unplugged; fall back to the default devices like the camera mode does.
+ */
+async function openUserMedia(settings, withCamera) {
+  const request = (requestSettings) => {
+    const { video, audio } = buildMediaConstraints(requestSettings);
+    return navigator.mediaDevices.getUserMedia({ video: withCamera ? video : false, audio });
+  };
+
+  try {
+    return await request(settings);
+  } catch (error) {
+    if (error.name !== 'OverconstrainedError') {
+      throw error;
+    }
+    return request({ ...settings, videoDeviceId: '', audioDeviceId: '' });
+  }
+}
+
+/**
+ * Open a screen recording stream: the shared screen (SCREEN) or the screen with a camera bubble
+ * composited on a canvas (SCREEN_CAMERA). Microphone and tab/system audio are mixed into one track.
+ * Release it with stopCaptureStream; stopping its tracks alone leaves the sources open.
+ * @param {string} mode - CaptureMode.SCREEN or CaptureMode.SCREEN_CAMERA
+ * @param {Object} settings - Recorder settings (devices, resolution, frame rate)
+ * @param {Object} [options]
+ * @param {Function} [options.onEnded] - Called after the user stopped sharing from the browser's own controls
+ * @returns {Promise<MediaStream>}
+ */
+export async function openScreenCapture(mode, settings, { onEnded } = {}) {
+  const display = await navigator.mediaDevices.getDisplayMedia({
+    video: { frameRate: { ideal: settings.frameRate } },
+    audio: true,
+  });
+  const sources = [display];
+  const cleanups = [];
+
+  const stop = () => {
+    cleanups.forEach(cleanup => cleanup());
+    sources.forEach(source => source.getTracks().forEach(track => track.stop()));
+  };
+
+  try {
+    const withCamera = mode === CaptureMode.SCREEN_CAMERA;
+    // The camera is required for the bubble; without it a screen recording simply has no voice-over
+    const user = await openUserMedia(settings, withCamera).catch((error) => {
+      if (withCamera) {
+        throw error;
+      }
+      console.warn('Recording the screen without a microphone:', error);
+      return null;
+    });
+    if (user) {
+      sources.push(user);
+    }
+
+    const audio = mixAudio([display, user]);
+    cleanups.push(audio.close);
+
+    const [screenTrack] = display.getVideoTracks();
+    let videoTrack = screenTrack;
+    let size = null;
+
+    if (withCamera) {
+      size = getCanvasSize(screenTrack, settings);
+      const canvas = document.createElement('canvas');
+      canvas.width = size.width;
+      canvas.height = size.height;
+      const context = canvas.getContext('2d');
+      const [screenVideo, cameraVideo] = await Promise.all([
+        playStream(new MediaStream([screenTrack])),
+        playStream(new MediaStream(user.getVideoTracks())),
+      ]);
+
+      const draw = () => {
+        context.fillStyle = '#000000';
+        context.fillRect(0, 0, size.width, size.height);
+        drawContained(context, screenVideo, size.width, size.height);
+        drawBubble(context, cameraVideo, size.width, size.height);
+      };
+      draw();
+      cleanups.push(startTicker(1000 / settings.frameRate, draw));
+      cleanups.push(() => {
+        screenVideo.srcObject = null;
+        cameraVideo.srcObject = null;
+      });
+
+      videoTrack = canvas.captureStream(settings.frameRate).getVideoTracks()[0];
+    }
+
+    const stream = new MediaStream([videoTrack, ...audio.tracks]);
+    captures.set(stream, { size, stop });
+
+    // "Stop sharing" in the browser ends the screen track; end the whole recording with it.
+    // The caller stops its recorder first, so the recorder never sees its tracks end on their own.
+    screenTrack.addEventListener('ended', () => {
+      if (onEnded) {
+        onEnded();
+      }
+      stopCaptureStream(stream);
+    });
+
+    return stream;
+  } catch (error) {
+    stop();
+    throw error;
+  }
+}
+
+/**
+ * Stop a camera or screen recording stream and release its sources (screen share, camera, audio mixer)
+ * @param {MediaStream|null} stream
+ */
+export function stopCaptureStream(stream) {
+  if (!stream) {
+    return;
+  }
+  stream.getTracks().forEach(track => track.stop());
+  const capture = captures.get(stream);
+  if (capture) {
+    captures.delete(stream);
+    capture.stop();
+  }
+}
+
+/**
+ * Width and height of what a stream records
+ * @returns {{width: number, height: number}}
+ */
+export function getCaptureSize(stream) {
+  const capture = captures.get(stream);
+  if (capture?.size) {
+    return capture.size;
+  }
+  const { width, height } = stream.getVideoTracks()[0]?.getSettings() || {};
+  return { width, height };
+}
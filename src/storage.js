@@ -0,0 +1,126 @@
+// Storage quota management: persistence, usage estimates and eviction of uploaded blobs
+
+import { getVideosByUploadStatus, updateVideo, UploadStatus } from './db';
+import { verifyRemoteCopy } from './remoteCopy';
+
+const LOW_SPACE_THRESHOLD = 200 * 1024 * 1024; // 200MB
+const SETTINGS_KEY = 'video-recorder-storage-settings';
+const DEFAULT_SETTINGS = {
+  // Delete local copies of uploaded videos after this many days (0 = never)
+  evictUploadedAfterDays: 0,
+};
+
+/**
+ * Ask the browser not to evict our data under storage pressure
+ * @returns {Promise<boolean>} - Whether storage is persistent
+ */
+export async function requestPersistentStorage() {
+  if (!navigator.storage?.persist) {
+    return false;
+  }
+
+  if (await navigator.storage.persisted()) {
+    return true;
+  }
+  return navigator.storage.persist();
+}
+
+/**
+ * Estimate used and available storage for this origin
+ * @returns {Promise<{usage: number, quota: number, available: number, persisted: boolean}|null>} - null if unsupported
+ */
+export async function getStorageEstimate() {
+  if (!navigator.storage?.estimate) {
+    return null;
+  }
+
+  const [{ usage = 0, quota = 0 }, persisted] = await Promise.all([
+    navigator.storage.estimate(),
+    navigator.storage.persisted ? navigator.storage.persisted() : false,
+  ]);
+
+  return {
+    usage,
+    quota,
+    available: Math.max(0, quota - usage),
+    persisted,
+  };
+}
+
+/**
+ * Whether the estimate leaves too little room for another recording
+ */
+export function isLowOnSpace(estimate) {
+  return estimate !== null && estimate.available < LOW_SPACE_THRESHOLD;
+}
+
+/**
+ * Check if an error means the storage quota was exceeded
+ */
+export function isQuotaExceededError(error) {
+  return error?.name === 'QuotaExceededError'
+    || error?.inner?.name === 'QuotaExceededError';
+}
+
+/**
+ * Load storage settings saved between sessions
+ */
+export function getStorageSettings() {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Save storage settings
+ */
+export function saveStorageSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Delete the local blobs of uploaded videos older than the configured age.
+ * The records stay in the library and play from their remote URL.
+ * @returns {Promise<number>} - Number of blobs removed
+ */
+export async function evictUploadedBlobs({ evictUploadedAfterDays } = getStorageSettings()) {
+  if (!evictUploadedAfterDays) {
+    return 0;
+  }
+
+  const cutoff = Date.now() - evictUploadedAfterDays * 24 * 60 * 60 * 1000;
+  const uploaded = await getVideosByUploadStatus(UploadStatus.UPLOADED);
+  const { removed } = await evictBlobs(uploaded.filter(video => video.createdAt < cutoff));
+  return removed;
+}
+
+/**
+ * Delete the local blobs of every uploaded video, regardless of age
+ * @returns {Promise<{removed: number, kept: number}>} - Blobs removed, and blobs kept because their remote copy did not check out
+ */
+export async function removeUploadedLocalCopies() {
+  return evictBlobs(await getVideosByUploadStatus(UploadStatus.UPLOADED));
+}
+
+/**
+ * Drop the local copies of videos that can be played from their remote URL
+ * Each remote copy is verified first; a video whose copy is missing, different or unreachable keeps its blob.
+ */
+async function evictBlobs(videos) {
+  const evictable = videos.filter(video => video.blob && video.remoteUrl);
+  let removed = 0;
+
+  for (const video of evictable) {
+    const { verified, message } = await verifyRemoteCopy(video);
+    if (verified) {
+      await updateVideo(video.id, { blob: null, versions: [], size: video.blob.size, evictedAt: Date.now() });
+      removed++;
+    } else {
+      console.warn(`Kept the local copy of ${video.id}: ${message}`);
+    }
+  }
+
+  return { removed, kept: evictable.length - removed };
+}
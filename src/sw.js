@@ -0,0 +1,60 @@
+// Service worker: precaches the app shell and finishes queued uploads via Background Sync
+
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, cleanupOutdatedCaches, createHandlerBoundToURL, matchPrecache } from 'workbox-precaching';
+import { registerRoute, setCatchHandler, NavigationRoute } from 'workbox-routing';
+import { flush, hasPendingUploads, UPLOAD_SYNC_TAG } from './uploadQueue';
+import { configureUploads } from './uploadConfig';
+import { envUploadConfig } from './envUploadConfig';
+
+clientsClaim();
+// The worker has no recorder to hand it settings, so it uploads with the app's own
+configureUploads(envUploadConfig);
+
+// A new build waits until the page accepts the update prompt
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// App shell: build assets are injected into self.__WB_MANIFEST by vite-plugin-pwa
+cleanupOutdatedCaches();
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for navigations so the recorder opens offline
+registerRoute(new NavigationRoute(createHandlerBoundToURL('index.html')));
+
+// Last resort for navigations that cannot be served at all
+setCatchHandler(async ({ request }) => {
+  if (request.mode === 'navigate') {
+    return (await matchPrecache('offline.html')) || Response.error();
+  }
+  return Response.error();
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === UPLOAD_SYNC_TAG) {
+    event.waitUntil(syncUploads());
+  }
+});
+
+/**
+ * Upload everything the queue has ready, using the same queue, storage and
+ * Cloudinary code as the page. Rejecting makes the browser retry the sync later.
+ * Syncs while a page is visible are left to the page, without a rejection that
+ * would count against the browser's retry limit.
+ */
+async function syncUploads() {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (windows.some(client => client.visibilityState === 'visible')) {
+    // A visible page drains the queue itself, and registers the sync again when it is hidden or closed
+    return;
+  }
+
+  await flush();
+
+  if (await hasPendingUploads()) {
+    throw new Error('Uploads still pending');
+  }
+}
@@ -0,0 +1,63 @@
+// Non-blocking notifications, rendered by <Toaster />
+
+const DEFAULT_DURATION = 5000;
+// Older toasts are dropped beyond this many
+const MAX_TOASTS = 4;
+
+export const ToastType = {
+  INFO: 'info',
+  SUCCESS: 'success',
+  ERROR: 'error',
+};
+
+const listeners = new Set();
+const timers = new Map(); // toast id -> dismiss timer
+let toasts = [];
+let nextId = 1;
+
+function emit() {
+  listeners.forEach(listener => listener(toasts));
+}
+
+/**
+ * Subscribe to the list of visible toasts
+ * The listener is called right away with the current list.
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  listener(toasts);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Show a toast
+ * @param {string} message - Text to show
+ * @param {Object} [options]
+ * @param {string} [options.type] - One of ToastType
+ * @param {number} [options.duration] - Milliseconds before it disappears; 0 keeps it until dismissed
+ * @returns {number} - Toast id, for dismissToast
+ */
+export function showToast(message, { type = ToastType.INFO, duration = DEFAULT_DURATION } = {}) {
+  const id = nextId++;
+  const dropped = toasts.slice(0, Math.max(0, toasts.length - MAX_TOASTS + 1));
+  dropped.forEach(toast => clearTimeout(timers.get(toast.id)));
+  toasts = [...toasts.slice(dropped.length), { id, type, message }];
+
+  if (duration > 0) {
+    timers.set(id, setTimeout(() => dismissToast(id), duration));
+  }
+  emit();
+  return id;
+}
+
+/**
+ * Remove a toast before its time is up
+ * @param {number} id - Toast id
+ */
+export function dismissToast(id) {
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+  toasts = toasts.filter(toast => toast.id !== id);
+  emit();
+}
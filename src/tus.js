@@ -0,0 +1,176 @@
+// tus resumable upload provider (https://tus.io/protocols/resumable-upload)
+
+import { getFileExtension } from './codecs';
+import { assertUploadable, sendWithProgress, withRetry } from './uploadUtils';
+import { UploadError, UploadErrorCode, createHttpError } from './uploadErrors';
+import { getUploadConfig } from './uploadConfig';
+
+const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB
+const TUS_VERSION = '1.0.0';
+
+/**
+ * Upload creation URL from the upload config (`tus.endpoint`)
+ */
+function getTusEndpoint() {
+  return getUploadConfig().tus?.endpoint;
+}
+
+/**
+ * Encode upload metadata as `key base64value` pairs
+ */
+function encodeMetadata(metadata) {
+  return Object.entries(metadata)
+    .map(([key, value]) => `${key} ${btoa(String.fromCharCode(...new TextEncoder().encode(value)))}`)
+    .join(',');
+}
+
+/**
+ * Create a new upload on the tus server
+ * The content hash goes in the metadata so the server can spot a file it already has.
+ * @returns {Promise<string>} - Absolute upload URL
+ */
+async function createUpload(blob, contentHash, signal) {
+  const endpoint = getTusEndpoint();
+  const response = await sendWithProgress('POST', endpoint, null, {
+    signal,
+    headers: {
+      'Tus-Resumable': TUS_VERSION,
+      'Upload-Length': String(blob.size),
+      'Upload-Metadata': encodeMetadata({
+        filename: `recording-${Date.now()}.${getFileExtension(blob.type)}`,
+        filetype: blob.type,
+        ...(contentHash && { sha256: contentHash })
+      })
+    }
+  });
+
+  const location = response.getHeader('Location');
+  if (response.status !== 201) {
+    throw createHttpError(response, null, `tus upload creation failed with status ${response.status}`);
+  }
+  if (!location) {
+    throw new UploadError(UploadErrorCode.CONFIG, 'tus server did not return a Location header. Expose it in the server CORS rules');
+  }
+
+  return new URL(location, endpoint).href;
+}
+
+/**
+ * Ask the server how many bytes of an upload it already has
+ * @returns {Promise<number|null>} - Offset, or null if the upload no longer exists
+ */
+async function fetchOffset(uploadUrl, signal) {
+  const response = await sendWithProgress('HEAD', uploadUrl, null, {
+    headers: { 'Tus-Resumable': TUS_VERSION },
+    signal
+  });
+
+  if (!response.ok) {
+    return null;
+  }
+
+  return Number(response.getHeader('Upload-Offset'));
+}
+
+/**
+ * Send one chunk starting at `offset`
+ * @returns {Promise<number>} - New offset confirmed by the server
+ */
+async function patchChunk(uploadUrl, blob, offset, onProgress, signal) {
+  const end = Math.min(offset + CHUNK_SIZE, blob.size);
+  const response = await sendWithProgress('PATCH', uploadUrl, blob.slice(offset, end), {
+    headers: {
+      'Tus-Resumable': TUS_VERSION,
+      'Upload-Offset': String(offset),
+      'Content-Type': 'application/offset+octet-stream'
+    },
+    onProgress,
+    signal
+  });
+
+  if (!response.ok) {
+    throw createHttpError(response, null, `Upload failed with status ${response.status}`);
+  }
+
+  return Number(response.getHeader('Upload-Offset'));
+}
+
+/**
+ * Upload a video to a tus server.
+ *
+ * After each confirmed chunk `onStateChange({ uploadUrl, offset })` is called.
+ * When resuming, the server is asked for its actual offset first, so nothing
+ * is sent twice even if the last confirmation never reached us.
+ * Aborting `signal` stops the upload.
+ */
+export async function uploadToTus(blob, onProgress, { resumeState, onStateChange, signal, contentHash } = {}) {
+  if (!getTusEndpoint()) {
+    throw new UploadError(UploadErrorCode.CONFIG, 'tus endpoint not configured: set tus.endpoint in the upload config');
+  }
+
+  assertUploadable(blob);
+
+  let uploadUrl = resumeState?.uploadUrl || null;
+  let offset = uploadUrl ? await withRetry(() => fetchOffset(uploadUrl, signal), { signal }) : null;
+
+  // Unknown or expired upload: start a new one
+  if (offset === null) {
+    uploadUrl = await withRetry(() => createUpload(blob, contentHash, signal), { signal });
+    offset = 0;
+    if (onStateChange) {
+      await onStateChange({ uploadUrl, offset });
+    }
+  }
+
+  while (offset < blob.size) {
+    signal?.throwIfAborted();
+    const start = offset;
+    offset = await withRetry(() => patchChunk(uploadUrl, blob, start, (fraction) => {
+      if (onProgress) {
+        const end = Math.min(start + CHUNK_SIZE, blob.size);
+        onProgress(Math.round(((start + (end - start) * fraction) / blob.size) * 100));
+      }
+    }, signal), { signal });
+
+    if (onStateChange) {
+      await onStateChange({ uploadUrl, offset });
+    }
+  }
+
+  return { uploadUrl };
+}
+
+/**
+ * tus as an upload provider (see uploadProviders.js)
+ */
+export const tusProvider = {
+  name: 'tus',
+  label: 'tus',
+
+  isConfigured() {
+    return Boolean(getTusEndpoint());
+  },
+
+  // tus is resumable by design
+  canPause() {
+    return true;
+  },
+
+  // A finished upload reports its size as its offset
+  async inspect(url) {
+    const response = await fetch(url, { method: 'HEAD', cache: 'no-store', headers: { 'Tus-Resumable': TUS_VERSION } });
+    const offset = response.headers.get('Upload-Offset');
+    return { status: response.status, size: offset === null ? null : Number(offset), etag: null };
+  },
+
+  async upload(blob, onProgress, options) {
+    const result = await uploadToTus(blob, onProgress, options);
+    return {
+      url: result.uploadUrl,
+      remoteId: result.uploadUrl.split('/').pop(),
+      bytes: blob.size,
+      etag: null,
+      response: result
+    };
+  }
+};
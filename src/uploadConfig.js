@@ -0,0 +1,28 @@
+// Upload provider settings, handed in by the embedding app rather than read from the build environment
+
+/**
+ * @typedef {Object} UploadConfig
+ * @property {string} [provider='cloudinary'] - Provider for new uploads: cloudinary, s3 or tus
+ * @property {Object} [cloudinary] - `{ cloudName, uploadPreset, apiKey, signingEndpoint, getSigningToken }`
+ * @property {Object} [s3] - `{ presignEndpoint }`
+ * @property {Object} [tus] - `{ endpoint }`
+ */
+
+let config = {};
+
+/**
+ * Set the provider settings used by every upload in this context (page or service worker)
+ * There is one upload queue per context, so the last configuration wins.
+ * @param {UploadConfig} next
+ */
+export function configureUploads(next) {
+  config = next || {};
+}
+
+/**
+ * Current provider settings; providers read them at upload time
+ * @returns {UploadConfig}
+ */
+export function getUploadConfig() {
+  return config;
+}
@@ -0,0 +1,151 @@
+// Typed upload errors shared by the providers, the queue and the UI
+
+export const UploadErrorCode = {
+  CONFIG: 'config',
+  VALIDATION: 'validation',
+  OFFLINE: 'offline',
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  HTTP_4XX: 'http-4xx',
+  HTTP_5XX: 'http-5xx',
+  CANCELLED: 'cancelled',
+  UNKNOWN: 'unknown',
+};
+
+// Messages shown to the user; other errors show their own message, which is written for the user or comes from the server
+const DESCRIPTIONS = {
+  [UploadErrorCode.OFFLINE]: 'No internet connection',
+  [UploadErrorCode.NETWORK]: 'Connection lost during upload',
+  [UploadErrorCode.TIMEOUT]: 'Upload took too long. Try a shorter video',
+  [UploadErrorCode.CANCELLED]: 'Upload cancelled',
+};
+
+/**
+ * An upload failure with a code, and for HTTP errors the status and response body
+ */
+export class UploadError extends Error {
+  /**
+   * @param {string} code - One of UploadErrorCode
+   * @param {string} message - Technical message, for logs and the error history
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status
+   * @param {*} [details.body] - Parsed response body (e.g. Cloudinary's `{ error: { message } }`)
+   * @param {number} [details.retryAfter] - Milliseconds the server asked us to wait (429/503 `Retry-After`)
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(code, message, { status = null, body = null, retryAfter = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'UploadError';
+    this.code = code;
+    this.status = status;
+    this.body = body;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Parse a `Retry-After` header (seconds or an HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Error for an unsuccessful HTTP response
+ * @param {Object} response - Response from sendWithProgress, or a fetch Response
+ * @param {*} [body] - Parsed response body
+ * @param {string} [message] - Message from the body, if the server sent one
+ */
+export function createHttpError(response, body = null, message = null) {
+  const { status } = response;
+  const getHeader = response.getHeader || (name => response.headers?.get(name));
+  return new UploadError(
+    status >= 500 ? UploadErrorCode.HTTP_5XX : UploadErrorCode.HTTP_4XX,
+    message || `Request failed with status ${status}`,
+    { status, body, retryAfter: parseRetryAfter(getHeader('Retry-After')) }
+  );
+}
+
+/**
+ * Error an upload rejects with when it is cancelled or paused
+ */
+export function createCancelledError(message = 'Upload cancelled') {
+  return new UploadError(UploadErrorCode.CANCELLED, message);
+}
+
+/**
+ * Turn any thrown value into an UploadError
+ * `fetch` rejects with a TypeError when the network fails and with an AbortError when aborted.
+ */
+export function toUploadError(error) {
+  if (error instanceof UploadError) {
+    return error;
+  }
+  if (error?.name === 'AbortError') {
+    return new UploadError(UploadErrorCode.CANCELLED, error.message || 'Upload cancelled', { cause: error });
+  }
+  if (error instanceof TypeError) {
+    return new UploadError(UploadErrorCode.NETWORK, error.message, { cause: error });
+  }
+  return new UploadError(UploadErrorCode.UNKNOWN, error?.message || String(error), { cause: error });
+}
+
+/**
+ * Whether an upload stopped because it was cancelled or paused rather than failing
+ */
+export function isCancelledError(error) {
+  return toUploadError(error).code === UploadErrorCode.CANCELLED;
+}
+
+/**
+ * Whether trying the same request again may succeed: connection problems, server errors and rate limits
+ * Other 4xx responses, bad configuration and invalid files fail the same way every time.
+ */
+export function isRetryableError(error) {
+  const { code, status } = toUploadError(error);
+  return code === UploadErrorCode.NETWORK
+    || code === UploadErrorCode.TIMEOUT
+    || code === UploadErrorCode.HTTP_5XX
+    || (code === UploadErrorCode.HTTP_4XX && (status === 429 || status === 408));
+}
+
+/**
+ * Plain object for IndexedDB and the error history
+ * @returns {{code: string, message: string, status: number|null, body: *, at: number}}
+ */
+export function serializeUploadError(error) {
+  const { code, message, status, body } = toUploadError(error);
+  return { code, message, status, body, at: Date.now() };
+}
+
+/**
+ * Message to show the user for an error (or a serialized one)
+ * Errors saved before errors had codes are plain strings and are shown as they are.
+ */
+export function describeUploadError(error) {
+  if (!error) {
+    return 'Unknown error';
+  }
+  if (typeof error === 'string') {
+    return error;
+  }
+  const description = DESCRIPTIONS[error.code];
+  if (description) {
+    return description;
+  }
+  if (error.code === UploadErrorCode.HTTP_4XX && error.status === 429) {
+    return 'The server is busy. Retrying shortly';
+  }
+  if (error.status) {
+    return `${error.message} (HTTP ${error.status})`;
+  }
+  return error.message || 'Unknown error';
+}
@@ -0,0 +1,66 @@
+// Upload provider registry
+//
+// A provider is an object with:
+//   name          - stable id stored on video records
+//   label         - display name
+//   isConfigured() - whether its settings are present in the upload config (see uploadConfig.js)
+//   canPause(blob) - whether an upload of this blob can stop and continue where it left off
+//   upload(blob, onProgress, { resumeState, onStateChange, signal, contentHash })
+//                 - resolves to { url, remoteId, bytes, etag, response }; resumeState is whatever
+//                   the provider last passed to onStateChange for this video. Aborting
+//                   signal stops the upload and rejects with the signal's reason.
+//                   contentHash (SHA-256 hex) names the remote file, so uploading the
+//                   same file twice reaches the same asset instead of a duplicate
+//   inspect(url)  - resolves to { status, size, etag } for the uploaded file at url (its
+//                   HTTP status, size in bytes and the etag to compare with the upload's, or null)
+//   discard(uploadState) - optional; frees what a cancelled upload left on the server, given the
+//                   last state it passed to onStateChange
+
+import { cloudinaryProvider } from './cloudinary';
+import { s3Provider } from './s3';
+import { tusProvider } from './tus';
+import { createUploadHandle } from './uploadUtils';
+import { UploadError, UploadErrorCode } from './uploadErrors';
+import { getUploadConfig } from './uploadConfig';
+
+const providers = {
+  [cloudinaryProvider.name]: cloudinaryProvider,
+  [s3Provider.name]: s3Provider,
+  [tusProvider.name]: tusProvider,
+};
+
+/**
+ * Look up an upload provider by name without throwing, e.g. for a name read from an imported record
+ * @param {string} name - Provider name
+ * @returns {Object|null} - The provider, or null if there is none by that name
+ */
+export function findUploadProvider(name) {
+  return Object.hasOwn(providers, name) ? providers[name] : null;
+}
+
+/**
+ * Get an upload provider by name, or the one selected by the upload config (Cloudinary by default)
+ * @param {string} [name] - Provider name
+ */
+export function getUploadProvider(name = getUploadConfig().provider || cloudinaryProvider.name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new UploadError(UploadErrorCode.CONFIG, `Unknown upload provider "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Start an upload with a provider and get a handle to cancel, pause or resume it
+ * @param {Object} provider - Upload provider
+ * @param {Blob} blob - File to upload
+ * @param {Function} onProgress - Called with progress (0-100)
+ * @param {Object} [options] - `{ resumeState, onStateChange, contentHash }`
+ * @returns {Object} - Upload handle (see createUploadHandle); its promise resolves to the provider's result
+ */
+export function startUpload(provider, blob, onProgress, { contentHash, ...options } = {}) {
+  return createUploadHandle(
+    runOptions => provider.upload(blob, onProgress, { ...runOptions, contentHash }),
+    { ...options, canPause: provider.canPause(blob) }
+  );
+}
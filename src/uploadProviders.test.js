@@ -0,0 +1,22 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { getUploadProvider } from './uploadProviders';
+import { configureUploads } from './uploadConfig';
+
+describe('getUploadProvider', () => {
+  afterEach(() => configureUploads({}));
+
+  it('defaults to an unconfigured Cloudinary', () => {
+    const provider = getUploadProvider();
+
+    expect(provider.name).toBe('cloudinary');
+    expect(provider.isConfigured()).toBe(false);
+  });
+
+  it('picks the provider and settings from the upload config at call time', () => {
+    configureUploads({ provider: 's3', s3: { presignEndpoint: 'https://example.com/presign' } });
+
+    expect(getUploadProvider().name).toBe('s3');
+    expect(getUploadProvider().isConfigured()).toBe(true);
+    expect(getUploadProvider('tus').isConfigured()).toBe(false);
+  });
+});
@@ -0,0 +1,518 @@
+// Persistent background upload queue backed by IndexedDB
+
+import { getVideo, getVideosByHash, updateVideo, markUploaded, recordUploadError, saveUploadState, getQueueItems, getQueueItem, putQueueItem, updateQueueItem, UploadStatus } from './db';
+import { getUploadProvider, findUploadProvider, startUpload } from './uploadProviders';
+import { isOnline } from './uploadUtils';
+import { hashBlob } from './hash';
+import { UploadError, UploadErrorCode, createCancelledError, isCancelledError, isRetryableError, serializeUploadError } from './uploadErrors';
+import { broadcast, subscribeToTabs, TabMessage, hasWebLocks, withUploadLock, isUploadOwned, waitForUploadLock } from './crossTab';
+
+const CONCURRENCY = 2;
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY = 30 * 1000; // 30 seconds
+const MAX_RETRY_DELAY = 30 * 60 * 1000; // 30 minutes
+
+// Background Sync tag the service worker listens for
+export const UPLOAD_SYNC_TAG = 'upload-queue';
+
+export const QueueState = {
+  QUEUED: 'queued',
+  UPLOADING: 'uploading',
+  FAILED: 'failed',
+  DONE: 'done',
+  // Stopped by the user; kept until resumed, never picked up by the queue on its own
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled',
+};
+
+const active = new Map(); // videoId -> upload promise
+const handles = new Map(); // videoId -> upload handle of a running upload
+const paused = new Set(); // videoIds in `active` whose upload is paused and not using a slot
+const cancelling = new Set(); // videoIds in `active` cancelled before their upload started
+const listeners = new Set();
+let retryTimer = null;
+let queueUsers = 0; // startUploadQueue callers that have not stopped it yet
+
+/**
+ * Subscribe to queue events
+ * Listeners receive `{ type: 'change', item }` or `{ type: 'progress', videoId, progress }`.
+ * Events of uploads running in another tab or the service worker are included, with `remote: true`.
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function emit(event) {
+  listeners.forEach(listener => listener(event));
+  broadcast({ type: TabMessage.QUEUE_EVENT, event });
+}
+
+// Pause, resume and cancel requests from other contexts, for uploads running in this one
+const commands = {
+  pause: pauseUpload,
+  resume: resumeUpload,
+  cancel: cancelUpload,
+};
+
+subscribeToTabs((message) => {
+  if (message.type === TabMessage.QUEUE_EVENT) {
+    listeners.forEach(listener => listener({ ...message.event, remote: true }));
+  } else if (message.type === TabMessage.QUEUE_COMMAND && active.has(message.videoId)) {
+    commands[message.action]?.(message.videoId)
+      .catch(error => console.error(`Failed to ${message.action} upload of ${message.videoId}:`, error));
+  }
+});
+
+/**
+ * Whether a video's upload runs in another tab or the service worker
+ */
+async function isOwnedElsewhere(videoId) {
+  return !active.has(videoId) && isUploadOwned(videoId);
+}
+
+async function saveItem(item) {
+  await putQueueItem(item);
+  emit({ type: 'change', item });
+}
+
+/**
+ * Add a video to the queue (or re-queue a failed one) and start draining
+ * @param {string} videoId - Video ID
+ */
+export async function enqueue(videoId) {
+  const existing = await getQueueItem(videoId);
+  if (existing && (existing.state === QueueState.DONE || active.has(videoId) || await isOwnedElsewhere(videoId))) {
+    return;
+  }
+
+  await saveItem({
+    videoId,
+    state: QueueState.QUEUED,
+    attempts: 0,
+    nextRetryAt: null,
+    lastError: null,
+    enqueuedAt: existing?.enqueuedAt || Date.now(),
+  });
+  requestBackgroundSync();
+  drain();
+}
+
+/**
+ * Whether an item may be picked up for upload now
+ */
+function isReady(item, now) {
+  return item?.state === QueueState.QUEUED
+    || (item?.state === QueueState.FAILED && item.nextRetryAt !== null && item.nextRetryAt <= now);
+}
+
+/**
+ * Whether the queue still has work that has not finished or given up
+ * @returns {Promise<boolean>}
+ */
+export async function hasPendingUploads() {
+  const items = await getQueueItems();
+  return items.some(item => item.state === QueueState.QUEUED
+    || item.state === QueueState.UPLOADING
+    || (item.state === QueueState.FAILED && item.nextRetryAt !== null));
+}
+
+/**
+ * Start as many queued or due-for-retry uploads as the concurrency limit allows
+ */
+export async function drain() {
+  if (!isOnline()) {
+    return;
+  }
+  // With Web Locks, uploads left behind by a closed tab are known right away: nobody holds their lock
+  if (hasWebLocks()) {
+    await requeueInterrupted();
+  }
+
+  const items = await getQueueItems();
+  const now = Date.now();
+  const ready = items
+    .filter(item => !active.has(item.videoId) && isReady(item, now))
+    .sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+
+  // Reserve slots synchronously so overlapping drains never pick the same video
+  ready.slice(0, Math.max(0, CONCURRENCY - (active.size - paused.size))).forEach((item) => {
+    active.set(item.videoId, processItem(item.videoId));
+  });
+
+  scheduleRetry(items);
+}
+
+/**
+ * Drain repeatedly until no upload is running or ready
+ * Used by the service worker, which must keep its sync event alive until the work is done.
+ */
+export async function flush() {
+  do {
+    await drain();
+    await Promise.all(active.values());
+  } while (active.size > 0);
+}
+
+/**
+ * Arm a timer for the earliest pending retry
+ */
+function scheduleRetry(items) {
+  clearTimeout(retryTimer);
+
+  const retryTimes = items
+    .filter(item => item.state === QueueState.FAILED && item.nextRetryAt !== null)
+    .map(item => item.nextRetryAt);
+
+  if (retryTimes.length > 0) {
+    const delay = Math.max(0, Math.min(...retryTimes) - Date.now());
+    retryTimer = setTimeout(drain, delay);
+  }
+}
+
+/**
+ * Exponential backoff for the given number of attempts, half of it random
+ * so uploads that failed together (e.g. during an outage) do not all retry at once
+ */
+function retryDelay(attempts) {
+  const delay = Math.min(BASE_RETRY_DELAY * Math.pow(2, attempts - 1), MAX_RETRY_DELAY);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Forget a cancelled upload's saved state, and let its provider free what the partial upload holds on the server
+ */
+async function discardUploadState(videoId) {
+  const uploadState = (await getVideo(videoId))?.uploadState;
+  await updateVideo(videoId, { uploadStatus: UploadStatus.LOCAL, uploadState: null, uploadError: null });
+
+  const provider = uploadState && findUploadProvider(uploadState.provider);
+  if (provider?.discard) {
+    await provider.discard(uploadState).catch(error => console.warn(`Could not discard the partial upload of ${videoId}:`, error));
+  }
+}
+
+/**
+ * Upload a video while holding its upload lock, so no other tab or the service worker uploads it at the same time
+ * The lock is held until the upload settles, paused time included.
+ */
+async function processItem(videoId) {
+  const owned = await withUploadLock(videoId, () => uploadItem(videoId));
+  if (!owned) {
+    // Another context is uploading it; it drains again when it is done
+    active.delete(videoId);
+    return;
+  }
+  await drain();
+}
+
+async function uploadItem(videoId) {
+  let item = null;
+  let provider = null;
+
+  try {
+    // Claim atomically; another tab or the service worker may have taken it already
+    item = await updateQueueItem(videoId, current => (isReady(current, Date.now()) ? {
+      ...current,
+      state: QueueState.UPLOADING,
+      attempts: current.attempts + 1,
+      lastError: null,
+    } : null));
+    if (!item) {
+      return;
+    }
+    emit({ type: 'change', item });
+
+    const video = await getVideo(videoId);
+    if (!video) {
+      throw new UploadError(UploadErrorCode.VALIDATION, 'Video not found in local storage');
+    }
+    await updateVideo(videoId, { uploadAttempts: video.uploadAttempts + 1 });
+
+    // An interrupted upload must finish on the provider it started with
+    provider = getUploadProvider(video.uploadState?.provider);
+
+    // Videos are hashed on their first upload. The hash only names the upload and finds duplicates,
+    // so if the file cannot be read for it the upload goes ahead under a random name.
+    let contentHash = video.sha256;
+    if (!contentHash && video.blob) {
+      contentHash = await hashBlob(video.blob).catch((error) => {
+        console.warn(`Could not hash ${videoId}; uploading without a content-based name:`, error);
+        return null;
+      });
+      if (contentHash) {
+        await updateVideo(videoId, { sha256: contentHash });
+      }
+    }
+
+    // The same file is already on this provider (e.g. a copy imported from an export): reuse it
+    const copy = contentHash && (await getVideosByHash(contentHash))
+      .find(other => other.id !== videoId && other.uploaded && other.provider === provider.name && other.remoteUrl);
+    if (copy) {
+      await markUploaded(videoId, { provider: provider.name, remoteId: copy.remoteId, url: copy.remoteUrl, bytes: copy.remoteBytes, etag: copy.remoteEtag });
+      item = { ...item, state: QueueState.DONE, nextRetryAt: null, url: copy.remoteUrl };
+      return;
+    }
+
+    if (cancelling.has(videoId)) {
+      throw createCancelledError();
+    }
+    const handle = startUpload(
+      provider,
+      video.blob,
+      (progress) => emit({ type: 'progress', videoId, progress }),
+      {
+        resumeState: video.uploadState,
+        onStateChange: (state) => saveUploadState(videoId, { ...state, provider: provider.name }),
+        contentHash,
+      }
+    );
+    handles.set(videoId, handle);
+    // An upload that fails right away (e.g. misconfigured) settles while the item is saved; its error is handled below
+    handle.promise.catch(() => {});
+    if (item.canPause !== handle.canPause) {
+      item = { ...item, canPause: handle.canPause };
+      await saveItem(item);
+    }
+    const result = await handle.promise;
+
+    await markUploaded(videoId, {
+      provider: provider.name,
+      remoteId: result.remoteId,
+      url: result.url,
+      bytes: result.bytes,
+      etag: result.etag,
+    });
+    console.log(`${provider.label} response:`, result.response);
+
+    item = { ...item, state: QueueState.DONE, nextRetryAt: null, url: result.url };
+  } catch (error) {
+    console.error(`Upload of ${videoId} failed:`, error);
+
+    const lastError = serializeUploadError(error);
+
+    // Without a claimed item there is nothing to record
+    if (item && isCancelledError(error)) {
+      // Cancelled by the user: not a failure, and the partial upload is abandoned
+      await discardUploadState(videoId);
+      item = { ...item, state: QueueState.CANCELLED, attempts: item.attempts - 1, lastError: null, nextRetryAt: null };
+    } else if (item && !isOnline()) {
+      // Losing the connection is not the upload's fault; wait for the next `online` event
+      item = { ...item, state: QueueState.QUEUED, attempts: item.attempts - 1, lastError };
+    } else if (item) {
+      await recordUploadError(videoId, { ...lastError, attempt: item.attempts, provider: provider?.name || null });
+      // Rejected requests (4xx), bad configuration and invalid files would fail the same way again
+      const willRetry = isRetryableError(error) && item.attempts < MAX_ATTEMPTS;
+      item = {
+        ...item,
+        state: QueueState.FAILED,
+        lastError,
+        nextRetryAt: willRetry ? Date.now() + Math.max(retryDelay(item.attempts), error.retryAfter || 0) : null,
+      };
+    }
+  } finally {
+    active.delete(videoId);
+    handles.delete(videoId);
+    paused.delete(videoId);
+    cancelling.delete(videoId);
+    if (item) {
+      await saveItem(item);
+      if (item.state !== QueueState.DONE && item.state !== QueueState.CANCELLED) {
+        requestBackgroundSync();
+      }
+    }
+  }
+}
+
+/**
+ * Ask the context running a video's upload to pause, resume or cancel it
+ */
+function sendCommand(action, videoId) {
+  broadcast({ type: TabMessage.QUEUE_COMMAND, action, videoId });
+}
+
+/**
+ * Pause a running upload; it keeps its progress and continues from the last confirmed chunk on resume
+ * Only uploads whose provider can continue where it left off can pause (see `canPause` on queue items).
+ * Uploads running in another tab or the service worker are paused there.
+ * @param {string} videoId - Video ID
+ */
+export async function pauseUpload(videoId) {
+  const handle = handles.get(videoId);
+  if (!handle && await isOwnedElsewhere(videoId)) {
+    sendCommand('pause', videoId);
+    return;
+  }
+  if (!handle?.canPause || handle.paused) {
+    return;
+  }
+
+  handle.pause();
+  paused.add(videoId);
+  const item = await updateQueueItem(videoId, current => (current?.state === QueueState.UPLOADING
+    ? { ...current, state: QueueState.PAUSED }
+    : null));
+  if (item) {
+    emit({ type: 'change', item });
+  }
+  // The paused upload no longer takes a slot
+  await drain();
+}
+
+/**
+ * Resume a paused upload
+ * After a reload the paused upload has no handle any more; it goes back in the queue and resumes from its saved state.
+ * An upload paused in another tab is resumed there.
+ * @param {string} videoId - Video ID
+ */
+export async function resumeUpload(videoId) {
+  const handle = handles.get(videoId);
+  if (!handle && await isOwnedElsewhere(videoId)) {
+    sendCommand('resume', videoId);
+    return;
+  }
+  const item = await updateQueueItem(videoId, current => (current?.state === QueueState.PAUSED
+    ? { ...current, state: handle ? QueueState.UPLOADING : QueueState.QUEUED }
+    : null));
+  if (!item) {
+    return;
+  }
+
+  emit({ type: 'change', item });
+  if (handle) {
+    paused.delete(videoId);
+    handle.resume();
+  } else {
+    await drain();
+  }
+}
+
+/**
+ * Cancel a queued, running, paused or retrying upload
+ * A cancelled upload is not retried; uploading the video again starts from zero.
+ * Resolves once the upload has stopped, so the video can be deleted right after.
+ * @param {string} videoId - Video ID
+ */
+export async function cancelUpload(videoId) {
+  const handle = handles.get(videoId);
+  if (handle) {
+    handle.cancel();
+    await active.get(videoId);
+    return;
+  }
+  if (active.has(videoId)) {
+    // Claimed but still preparing (e.g. hashing); it stops before uploading anything
+    cancelling.add(videoId);
+    await active.get(videoId);
+    return;
+  }
+  if (await isOwnedElsewhere(videoId)) {
+    sendCommand('cancel', videoId);
+    await waitForUploadLock(videoId);
+    return;
+  }
+
+  // Not running in this context: waiting in the queue, for a retry, or paused before a reload
+  const item = await updateQueueItem(videoId, current => (current && current.state !== QueueState.DONE && current.state !== QueueState.CANCELLED
+    ? { ...current, state: QueueState.CANCELLED, lastError: null, nextRetryAt: null }
+    : null));
+  if (item) {
+    await discardUploadState(videoId);
+    emit({ type: 'change', item });
+  }
+}
+
+/**
+ * Ask the service worker to finish pending uploads via Background Sync, even after the tab closes
+ */
+export async function requestBackgroundSync() {
+  // Only pages register; inside the service worker there is no window
+  if (typeof window === 'undefined' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (registration?.sync) {
+      await registration.sync.register(UPLOAD_SYNC_TAG);
+    }
+  } catch (error) {
+    console.warn('Background Sync registration failed:', error);
+  }
+}
+
+/**
+ * Put uploads that were interrupted by a reload or a closed tab back in the queue
+ * Without Web Locks an upload running in another tab looks the same as an interrupted one, so this
+ * only runs at startup.
+ */
+async function requeueInterrupted() {
+  const items = await getQueueItems();
+  const uploading = items.filter(item => item.state === QueueState.UPLOADING && !active.has(item.videoId));
+
+  for (const { videoId } of uploading) {
+    if (await isOwnedElsewhere(videoId)) {
+      continue;
+    }
+    const item = await updateQueueItem(videoId, current => (current?.state === QueueState.UPLOADING
+      ? { ...current, state: QueueState.QUEUED }
+      : null));
+    if (item) {
+      emit({ type: 'change', item });
+    }
+  }
+}
+
+function handleOnline() {
+  drain();
+}
+
+/**
+ * Hand pending uploads to the service worker when the page is hidden or closed,
+ * since it skips syncs that fire while a page is visible
+ */
+function handlePageHidden() {
+  if (document.visibilityState === 'hidden') {
+    requestBackgroundSync();
+  }
+}
+
+/**
+ * Start the queue: recover interrupted uploads, drain now and whenever the browser comes back online,
+ * and hand the queue to the service worker whenever the page is hidden or closed
+ * Safe to call from several components (e.g. the app and an embedded recorder); the queue runs until all of them stop it.
+ * @returns {Function} - Stops listening for connectivity and visibility changes once the last caller has stopped
+ */
+export function startUploadQueue() {
+  queueUsers += 1;
+  if (queueUsers === 1) {
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('pagehide', requestBackgroundSync);
+    document.addEventListener('visibilitychange', handlePageHidden);
+
+    requeueInterrupted()
+      .then(async () => {
+        if (await hasPendingUploads()) {
+          requestBackgroundSync();
+        }
+        await drain();
+      })
+      .catch(error => console.error('Failed to start upload queue:', error));
+  }
+
+  let stopped = false;
+  return () => {
+    if (stopped) {
+      return;
+    }
+    stopped = true;
+    queueUsers -= 1;
+    if (queueUsers === 0) {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('pagehide', requestBackgroundSync);
+      document.removeEventListener('visibilitychange', handlePageHidden);
+      clearTimeout(retryTimer);
+    }
+  };
+}
@@ -0,0 +1,369 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Load the queue as a freshly opened page would, with a stubbed tus provider and an empty library
+ */
+async function loadQueue() {
+  vi.resetModules();
+  const queue = await import('./uploadQueue');
+  const db = await import('./db');
+  const { configureUploads } = await import('./uploadConfig');
+  const { tusProvider } = await import('./tus');
+  // The queue only recognises errors of its own copy of the module
+  const errors = await import('./uploadErrors');
+  const crossTab = await import('./crossTab');
+
+  configureUploads({ provider: 'tus', tus: { endpoint: 'https://tus.test/files/' } });
+  const upload = vi.spyOn(tusProvider, 'upload');
+  return { ...queue, ...db, ...errors, ...crossTab, upload };
+}
+
+function uploaded(videoId) {
+  return { url: `https://tus.test/files/${videoId}`, remoteId: videoId, bytes: 5, etag: null, response: {} };
+}
+
+function networkError({ UploadError, UploadErrorCode }) {
+  return new UploadError(UploadErrorCode.NETWORK, 'Connection reset');
+}
+
+describe('upload queue', () => {
+  let queue;
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+    vi.stubGlobal('navigator', { onLine: true });
+    // A single tab: no other context to coordinate with
+    vi.stubGlobal('BroadcastChannel', undefined);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    // Take the longest backoff every time, so the delays are known
+    vi.spyOn(Math, 'random').mockReturnValue(1);
+
+    queue = await loadQueue();
+    await queue.deleteVideos(await queue.getVideoIds());
+    await queue.importVideo({ id: 'video-1', blob: new Blob(['video']) });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('retries with a doubling delay and gives up after the last attempt', async () => {
+    queue.upload.mockRejectedValue(networkError(queue));
+
+    await queue.enqueue('video-1');
+    await queue.flush();
+
+    for (const [attempts, delay] of [[1, 0.5 * MINUTE], [2, MINUTE], [3, 2 * MINUTE], [4, 4 * MINUTE]]) {
+      const item = await queue.getQueueItem('video-1');
+      expect(item).toMatchObject({ state: queue.QueueState.FAILED, attempts, nextRetryAt: Date.now() + delay });
+      expect(item.lastError.code).toBe(queue.UploadErrorCode.NETWORK);
+
+      // Nothing happens until the retry is due
+      await vi.advanceTimersByTimeAsync(delay - 1);
+      expect(queue.upload).toHaveBeenCalledTimes(attempts);
+      await vi.advanceTimersByTimeAsync(1);
+      await queue.flush();
+      expect(queue.upload).toHaveBeenCalledTimes(attempts + 1);
+    }
+
+    expect(await queue.getQueueItem('video-1')).toMatchObject({ state: queue.QueueState.FAILED, attempts: 5, nextRetryAt: null });
+    expect((await queue.getVideo('video-1')).uploadErrors).toHaveLength(5);
+    expect(vi.getTimerCount()).toBe(0);
+    expect(await queue.hasPendingUploads()).toBe(false);
+  });
+
+  it('waits as long as the server asks before retrying, then finishes the upload', async () => {
+    queue.upload
+      .mockRejectedValueOnce(new queue.UploadError(queue.UploadErrorCode.HTTP_5XX, 'Service unavailable', { status: 503, retryAfter: 10 * MINUTE }))
+      .mockResolvedValueOnce(uploaded('video-1'));
+
+    await queue.enqueue('video-1');
+    await queue.flush();
+    expect(await queue.getQueueItem('video-1')).toMatchObject({ attempts: 1, nextRetryAt: Date.now() + 10 * MINUTE });
+
+    await vi.advanceTimersByTimeAsync(10 * MINUTE);
+    await queue.flush();
+
+    expect(await queue.getQueueItem('video-1')).toMatchObject({ state: queue.QueueState.DONE, attempts: 2, url: 'https://tus.test/files/video-1' });
+    expect(await queue.getVideo('video-1')).toMatchObject({ uploaded: true, remoteUrl: 'https://tus.test/files/video-1' });
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it('does not retry an upload the server rejected', async () => {
+    queue.upload.mockRejectedValue(new queue.UploadError(queue.UploadErrorCode.HTTP_4XX, 'Forbidden', { status: 403 }));
+
+    await queue.enqueue('video-1');
+    await queue.flush();
+
+    expect(await queue.getQueueItem('video-1')).toMatchObject({ state: queue.QueueState.FAILED, attempts: 1, nextRetryAt: null });
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it('puts an upload cut off by going offline back in the queue without using up an attempt', async () => {
+    queue.upload.mockImplementationOnce(async () => {
+      navigator.onLine = false;
+      throw networkError(queue);
+    }).mockResolvedValueOnce(uploaded('video-1'));
+
+    await queue.enqueue('video-1');
+    await queue.flush();
+
+    expect(await queue.getQueueItem('video-1')).toMatchObject({ state: queue.QueueState.QUEUED, attempts: 0 });
+    expect(vi.getTimerCount()).toBe(0);
+
+    // Offline, draining does nothing
+    await queue.flush();
+    expect(queue.upload).toHaveBeenCalledTimes(1);
+
+    navigator.onLine = true;
+    await queue.flush();
+
+    expect(queue.upload).toHaveBeenCalledTimes(2);
+    expect(await queue.getQueueItem('video-1')).toMatchObject({ state: queue.QueueState.DONE, attempts: 1 });
+  });
+
+  it('picks up where it left off after a restart', async () => {
+    await queue.importVideo({ id: 'video-2', blob: new Blob(['second video']) });
+    await queue.importVideo({ id: 'video-3', blob: new Blob(['third video']) });
+    // The tab closed while video-1 was uploading, with video-2 waiting for a retry and video-3 paused
+    await queue.saveUploadState('video-1', { provider: 'tus', uploadUrl: 'https://tus.test/files/partial', offset: 3 });
+    const base = { lastError: null, enqueuedAt: 1 };
+    await queue.putQueueItem({ ...base, videoId: 'video-1', state: queue.QueueState.UPLOADING, attempts: 1, nextRetryAt: null });
+    await queue.putQueueItem({ ...base, videoId: 'video-2', state: queue.QueueState.FAILED, attempts: 2, nextRetryAt: Date.now() + MINUTE });
+    await queue.putQueueItem({ ...base, videoId: 'video-3', state: queue.QueueState.PAUSED, attempts: 1, nextRetryAt: null });
+
+    vi.stubGlobal('window', new EventTarget());
+    vi.stubGlobal('document', Object.assign(new EventTarget(), { visibilityState: 'visible' }));
+    const restarted = await loadQueue();
+    restarted.upload.mockImplementation(async () => uploaded('video'));
+    const stop = restarted.startUploadQueue();
+
+    await vi.waitFor(async () => {
+      expect((await restarted.getQueueItem('video-1')).state).toBe(restarted.QueueState.DONE);
+    });
+    expect(restarted.upload).toHaveBeenCalledTimes(1);
+    expect(restarted.upload.mock.calls[0][2].resumeState).toMatchObject({ uploadUrl: 'https://tus.test/files/partial', offset: 3 });
+    expect(await restarted.getQueueItem('video-1')).toMatchObject({ attempts: 2 });
+
+    // The retry timer is armed again and still fires on time
+    await vi.advanceTimersByTimeAsync(MINUTE);
+    await restarted.flush();
+    expect(await restarted.getQueueItem('video-2')).toMatchObject({ state: restarted.QueueState.DONE, attempts: 3 });
+    expect(await restarted.getQueueItem('video-3')).toMatchObject({ state: restarted.QueueState.PAUSED });
+    expect(restarted.upload).toHaveBeenCalledTimes(2);
+
+    stop();
+  });
+
+  it('hands the queue to the service worker when the page is hidden or closed', async () => {
+    const register = vi.fn(async () => {});
+    navigator.serviceWorker = { getRegistration: async () => ({ sync: { register } }) };
+    const page = Object.assign(new EventTarget(), { visibilityState: 'visible' });
+    vi.stubGlobal('window', new EventTarget());
+    vi.stubGlobal('document', page);
+    const stop = queue.startUploadQueue();
+    await vi.waitFor(() => expect(queue.getQueueItems()).resolves.toEqual([]));
+    register.mockClear();
+
+    page.visibilityState = 'hidden';
+    page.dispatchEvent(new Event('visibilitychange'));
+    window.dispatchEvent(new Event('pagehide'));
+
+    await vi.waitFor(() => expect(register).toHaveBeenCalledTimes(2));
+    expect(register).toHaveBeenCalledWith(queue.UPLOAD_SYNC_TAG);
+
+    stop();
+    page.dispatchEvent(new Event('visibilitychange'));
+    await Promise.resolve();
+    expect(register).toHaveBeenCalledTimes(2);
+  });
+});
+
+/**
+ * In-memory Web Locks shared by every "tab" of a test
+ */
+function createLockManager() {
+  const held = new Map(); // name -> promise that resolves when the lock is released
+
+  return {
+    async request(name, options, callback = options) {
+      if (options.ifAvailable && held.has(name)) {
+        return callback(null);
+      }
+      while (held.has(name)) {
+        await held.get(name);
+      }
+      let release;
+      held.set(name, new Promise((resolve) => {
+        release = resolve;
+      }));
+      try {
+        return await callback({ name });
+      } finally {
+        held.delete(name);
+        release();
+      }
+    },
+
+    async query() {
+      return { held: [...held.keys()].map(name => ({ name })) };
+    },
+  };
+}
+
+/**
+ * In-memory BroadcastChannel: delivers to every other channel of the same name, never to the sender
+ */
+class FakeBroadcastChannel {
+  static open = new Set();
+
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeBroadcastChannel.open.add(this);
+  }
+
+  postMessage(message) {
+    FakeBroadcastChannel.open.forEach((channel) => {
+      if (channel !== this && channel.name === this.name) {
+        setTimeout(() => channel.onmessage?.({ data: structuredClone(message) }));
+      }
+    });
+  }
+
+  close() {
+    FakeBroadcastChannel.open.delete(this);
+  }
+}
+
+/**
+ * An upload that runs until its signal aborts
+ */
+function uploadUntilAborted(blob, onProgress, { signal }) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason));
+  });
+}
+
+describe('upload queue across tabs', () => {
+  let queue;
+  let locks;
+  let otherTab; // the channel of another tab, with the messages it received
+
+  /**
+   * Hold a video's upload lock as another tab would while it uploads; resolves to the release function
+   */
+  function holdLockInOtherTab(videoId) {
+    return new Promise((held) => {
+      locks.request(`upload:${videoId}`, () => new Promise(release => held(release)));
+    });
+  }
+
+  beforeEach(async () => {
+    locks = createLockManager();
+    vi.stubGlobal('navigator', { onLine: true, locks });
+    vi.stubGlobal('BroadcastChannel', FakeBroadcastChannel);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    queue = await loadQueue();
+    await queue.deleteVideos(await queue.getVideoIds());
+    await queue.importVideo({ id: 'video-1', blob: new Blob(['video']) });
+
+    otherTab = new FakeBroadcastChannel('video-recorder');
+    otherTab.received = [];
+    otherTab.onmessage = event => otherTab.received.push(event.data);
+  });
+
+  afterEach(() => {
+    FakeBroadcastChannel.open.forEach(channel => channel.close());
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('pauses and cancels an upload running here when another tab asks', async () => {
+    queue.upload.mockImplementation(uploadUntilAborted);
+    await queue.enqueue('video-1');
+    await vi.waitFor(() => expect(queue.upload).toHaveBeenCalled());
+    expect(await queue.isUploadOwned('video-1')).toBe(true);
+
+    otherTab.postMessage({ type: queue.TabMessage.QUEUE_COMMAND, action: 'pause', videoId: 'video-1' });
+    await vi.waitFor(async () => {
+      expect((await queue.getQueueItem('video-1')).state).toBe(queue.QueueState.PAUSED);
+    });
+    // A paused upload keeps its lock, so no other tab takes it over
+    expect(await queue.isUploadOwned('video-1')).toBe(true);
+
+    otherTab.postMessage({ type: queue.TabMessage.QUEUE_COMMAND, action: 'cancel', videoId: 'video-1' });
+    await vi.waitFor(async () => {
+      expect((await queue.getQueueItem('video-1')).state).toBe(queue.QueueState.CANCELLED);
+    });
+    await vi.waitFor(async () => {
+      expect(await queue.isUploadOwned('video-1')).toBe(false);
+    });
+    expect(otherTab.received).toContainEqual(expect.objectContaining({
+      type: queue.TabMessage.QUEUE_EVENT,
+      event: expect.objectContaining({ type: 'change', item: expect.objectContaining({ state: queue.QueueState.CANCELLED }) }),
+    }));
+  });
+
+  it('sends pause and cancel to the tab running the upload, and waits for it to let go before cancel resolves', async () => {
+    await queue.putQueueItem({ videoId: 'video-1', state: queue.QueueState.UPLOADING, attempts: 1, nextRetryAt: null, lastError: null, enqueuedAt: 1 });
+    const release = await holdLockInOtherTab('video-1');
+
+    await queue.pauseUpload('video-1');
+    await vi.waitFor(() => expect(otherTab.received).toContainEqual({ type: queue.TabMessage.QUEUE_COMMAND, action: 'pause', videoId: 'video-1' }));
+    // The other tab records the pause itself
+    expect((await queue.getQueueItem('video-1')).state).toBe(queue.QueueState.UPLOADING);
+
+    let cancelled = false;
+    const cancelling = queue.cancelUpload('video-1').then(() => {
+      cancelled = true;
+    });
+    await vi.waitFor(() => expect(otherTab.received).toContainEqual({ type: queue.TabMessage.QUEUE_COMMAND, action: 'cancel', videoId: 'video-1' }));
+    expect(cancelled).toBe(false);
+
+    release();
+    await cancelling;
+    expect(cancelled).toBe(true);
+    expect(queue.upload).not.toHaveBeenCalled();
+  });
+
+  it('leaves an upload to the tab running it, and takes it over once that tab is gone', async () => {
+    queue.upload.mockResolvedValue(uploaded('video-1'));
+    await queue.putQueueItem({ videoId: 'video-1', state: queue.QueueState.UPLOADING, attempts: 1, nextRetryAt: null, lastError: null, enqueuedAt: 1 });
+    const release = await holdLockInOtherTab('video-1');
+
+    await queue.enqueue('video-1');
+    await queue.drain();
+
+    expect(queue.upload).not.toHaveBeenCalled();
+    expect((await queue.getQueueItem('video-1')).state).toBe(queue.QueueState.UPLOADING);
+
+    // The other tab closed mid-upload, releasing its lock
+    release();
+    await vi.waitFor(async () => {
+      expect(await queue.isUploadOwned('video-1')).toBe(false);
+    });
+    await queue.flush();
+
+    expect(queue.upload).toHaveBeenCalledTimes(1);
+    expect(await queue.getQueueItem('video-1')).toMatchObject({ state: queue.QueueState.DONE, attempts: 2 });
+  });
+
+  it('does not start a queued upload another tab has just claimed', async () => {
+    await queue.putQueueItem({ videoId: 'video-1', state: queue.QueueState.QUEUED, attempts: 0, nextRetryAt: null, lastError: null, enqueuedAt: 1 });
+    await holdLockInOtherTab('video-1');
+
+    await queue.flush();
+
+    expect(queue.upload).not.toHaveBeenCalled();
+    expect(await queue.getQueueItem('video-1')).toMatchObject({ state: queue.QueueState.QUEUED, attempts: 0 });
+  });
+});
@@ -0,0 +1,321 @@
+// Shared upload helpers used by every upload provider
+
+import { UploadError, UploadErrorCode, createCancelledError, toUploadError, isRetryableError } from './uploadErrors';
+
+export const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB
+const UPLOAD_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 2000; // 2 seconds
+const MAX_RETRY_DELAY = 20 * 1000; // 20 seconds
+
+/**
+ * Check if browser is online
+ */
+export function isOnline() {
+  return navigator.onLine;
+}
+
+/**
+ * Validate video file before upload
+ */
+export function validateVideo(blob) {
+  const errors = [];
+
+  if (!blob || blob.size === 0) {
+    errors.push('Video file is empty');
+  }
+
+  if (blob.size > MAX_FILE_SIZE) {
+    errors.push(`Video size (${formatBytes(blob.size)}) exceeds limit (${formatBytes(MAX_FILE_SIZE)})`);
+  }
+
+  if (!blob.type.startsWith('video/')) {
+    errors.push('Invalid file type. Expected video file');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Checks every provider runs before uploading: validation and connectivity
+ */
+export function assertUploadable(blob) {
+  const validation = validateVideo(blob);
+  if (!validation.valid) {
+    throw new UploadError(UploadErrorCode.VALIDATION, validation.errors.join('. '));
+  }
+
+  if (!isOnline()) {
+    throw new UploadError(UploadErrorCode.OFFLINE, 'No internet connection. Video saved locally and will be uploaded when online');
+  }
+}
+
+/**
+ * Create a unique id for an upload
+ */
+export function createUploadId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Run a resumable upload behind a handle that can cancel it and, where the protocol allows, pause and resume it.
+ *
+ * `run({ resumeState, onStateChange, signal })` performs the upload and must stop when
+ * `signal` aborts. Pausing aborts the request in flight; resuming calls `run` again with
+ * the last state it reported, so only the unconfirmed chunk is sent again.
+ * @param {Function} run - Starts (or continues) the upload
+ * @param {Object} [options]
+ * @param {Object} [options.resumeState] - State to continue from
+ * @param {Function} [options.onStateChange] - Called with each confirmed state
+ * @param {boolean} [options.canPause] - Whether `run` can continue from a reported state
+ * @returns {{promise: Promise, cancel: Function, pause: Function, resume: Function, canPause: boolean, paused: boolean}}
+ */
+export function createUploadHandle(run, { resumeState, onStateChange, canPause = false } = {}) {
+  let state = resumeState;
+  let controller = null;
+  let paused = false;
+  let settled = false;
+  let settle = null;
+  const promise = new Promise((resolve, reject) => {
+    settle = {
+      resolve: (value) => { settled = true; resolve(value); },
+      reject: (error) => { settled = true; reject(error); },
+    };
+  });
+
+  function start() {
+    controller = new AbortController();
+    const { signal } = controller;
+    run({
+      resumeState: state,
+      signal,
+      onStateChange: async (next) => {
+        state = next;
+        if (onStateChange) {
+          await onStateChange(next);
+        }
+      },
+    }).then(settle.resolve, (error) => {
+      // A paused run ends here; resume() starts the next one
+      if (!(paused && signal.aborted)) {
+        settle.reject(error);
+      }
+    });
+  }
+
+  start();
+
+  return {
+    promise,
+    canPause,
+    get paused() {
+      return paused;
+    },
+    cancel() {
+      if (settled) {
+        return;
+      }
+      if (paused) {
+        settle.reject(createCancelledError());
+      } else {
+        controller.abort(createCancelledError());
+      }
+    },
+    pause() {
+      if (!canPause || paused || settled) {
+        return;
+      }
+      paused = true;
+      controller.abort(createCancelledError('Upload paused'));
+    },
+    resume() {
+      if (!paused || settled) {
+        return;
+      }
+      paused = false;
+      start();
+    },
+  };
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay up to `base * 2^attempt`, capped at `max`
+ * The randomness keeps many clients (or queued uploads) from retrying in lockstep.
+ * @param {number} attempt - Retries so far (0 for the first)
+ */
+export function getRetryDelay(attempt, base = RETRY_DELAY, max = MAX_RETRY_DELAY) {
+  return Math.round(Math.random() * Math.min(max, base * Math.pow(2, attempt)));
+}
+
+/**
+ * Run a request, retrying connection problems, 5xx and 429 responses with jittered backoff
+ * Whatever it finally throws is an UploadError. Aborting `signal` (the upload's, on pause or
+ * cancel) ends a backoff wait at once and rejects with the signal's reason.
+ * @param {Function} request - Sends the request; called again for every retry
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops waiting for the next retry
+ */
+export async function withRetry(request, { signal } = {}) {
+  for (let retryCount = 0; ; retryCount++) {
+    try {
+      return await request();
+    } catch (caught) {
+      const error = toUploadError(caught);
+      if (retryCount >= MAX_RETRIES || !isRetryableError(error) || signal?.aborted) {
+        throw error;
+      }
+      // A server that sent Retry-After knows best when to come back, but a request never holds
+      // its queue slot longer than the backoff ceiling; the queue's own retries wait longer
+      const delay = Math.min(error.retryAfter ?? getRetryDelay(retryCount), MAX_RETRY_DELAY);
+      console.log(`Upload request failed (${error.code}), retrying in ${delay}ms (${retryCount + 1}/${MAX_RETRIES})...`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Send a request with XMLHttpRequest to track upload progress (reported as a 0-1 fraction)
+ * Aborting `signal` stops the request and rejects with the signal's reason.
+ * @returns {Promise<{ok: boolean, status: number, getHeader: Function, json: Function}>}
+ */
+export function sendWithProgress(method, url, body, { headers = {}, onProgress, signal } = {}) {
+  if (signal?.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  // Service workers have no XMLHttpRequest
+  if (typeof XMLHttpRequest === 'undefined') {
+    return sendWithFetch(method, url, body, headers, signal);
+  }
+
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+
+    // Set timeout
+    xhr.timeout = UPLOAD_TIMEOUT;
+
+    // Track upload progress
+    xhr.upload.addEventListener('progress', (event) => {
+      if (event.lengthComputable && onProgress) {
+        onProgress(event.loaded / event.total);
+      }
+    });
+
+    // Handle completion
+    xhr.addEventListener('load', () => {
+      resolve({
+        ok: xhr.status >= 200 && xhr.status < 300,
+        status: xhr.status,
+        getHeader: (name) => xhr.getResponseHeader(name),
+        json: async () => JSON.parse(xhr.responseText)
+      });
+    });
+
+    // Handle errors
+    xhr.addEventListener('error', () => {
+      reject(new UploadError(UploadErrorCode.NETWORK, 'Network error during upload'));
+    });
+
+    xhr.addEventListener('timeout', () => {
+      reject(new UploadError(UploadErrorCode.TIMEOUT, 'Upload timeout. Please try again with a shorter video'));
+    });
+
+    xhr.addEventListener('abort', () => {
+      reject(signal?.reason || createCancelledError());
+    });
+
+    signal?.addEventListener('abort', () => xhr.abort(), { once: true });
+
+    xhr.open(method, url);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    xhr.send(body);
+  });
+}
+
+/**
+ * Send with fetch (no progress events), mapping failures to the same errors as the XHR path
+ */
+async function sendWithFetch(method, url, body, headers, signal) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), UPLOAD_TIMEOUT);
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort, { once: true });
+
+  try {
+    const response = await fetch(url, {
+      method,
+      body,
+      headers,
+      signal: controller.signal
+    });
+    return {
+      ok: response.ok,
+      status: response.status,
+      getHeader: (name) => response.headers.get(name),
+      json: () => response.json()
+    };
+  } catch (error) {
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+    if (error.name === 'AbortError') {
+      throw new UploadError(UploadErrorCode.TIMEOUT, 'Upload timeout. Please try again with a shorter video', { cause: error });
+    }
+    throw new UploadError(UploadErrorCode.NETWORK, 'Network error during upload', { cause: error });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * HEAD a remote file and read its size and etag
+ * @param {string} url - File URL
+ * @returns {Promise<{status: number, size: number|null, etag: string|null}>}
+ */
+export async function headRemoteFile(url) {
+  const response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+  const length = response.headers.get('Content-Length');
+  return { status: response.status, size: length === null ? null : Number(length), etag: response.headers.get('ETag') };
+}
+
+/**
+ * Format bytes to human readable
+ */
+export function formatBytes(bytes, decimals = 2) {
+  if (bytes === 0) return '0 Bytes';
+
+  const k = 1024;
+  const dm = decimals < 0 ? 0 : decimals;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+}
+
+/**
+ * Wait `ms`, or reject with the signal's reason as soon as it aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
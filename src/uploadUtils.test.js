@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { withRetry, createUploadHandle } from './uploadUtils';
+import { UploadError, UploadErrorCode, createCancelledError } from './uploadErrors';
+
+/**
+ * A request that fails with 503 and `Retry-After: 1 hour` the first time, then succeeds
+ */
+function createBusyRequest() {
+  let calls = 0;
+  return vi.fn(async () => {
+    calls++;
+    if (calls === 1) {
+      throw new UploadError(UploadErrorCode.HTTP_5XX, 'Service unavailable', { status: 503, retryAfter: 60 * 60 * 1000 });
+    }
+    return 'done';
+  });
+}
+
+describe('withRetry', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('waits no longer than the backoff ceiling, whatever Retry-After says', async () => {
+    const request = createBusyRequest();
+
+    const result = withRetry(request);
+    await vi.advanceTimersByTimeAsync(20 * 1000);
+
+    await expect(result).resolves.toBe('done');
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  it('stops waiting for a retry as soon as the signal aborts', async () => {
+    const request = createBusyRequest();
+    const controller = new AbortController();
+
+    const result = withRetry(request, { signal: controller.signal });
+    const settled = expect(result).rejects.toMatchObject({ code: UploadErrorCode.CANCELLED });
+    await vi.advanceTimersByTimeAsync(1000);
+    controller.abort(createCancelledError());
+
+    await settled;
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('createUploadHandle', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('settles as soon as it is cancelled during a retry backoff', async () => {
+    const request = createBusyRequest();
+    const handle = createUploadHandle(({ signal }) => withRetry(request, { signal }));
+    const settled = expect(handle.promise).rejects.toMatchObject({ code: UploadErrorCode.CANCELLED });
+    await vi.advanceTimersByTimeAsync(1000);
+
+    handle.cancel();
+
+    // No timer has to fire for the handle to settle
+    await settled;
+    expect(vi.getTimerCount()).toBe(0);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops retrying when paused during a backoff and retries once resumed', async () => {
+    const request = createBusyRequest();
+    const handle = createUploadHandle(({ signal }) => withRetry(request, { signal }), { canPause: true });
+    await vi.advanceTimersByTimeAsync(1000);
+
+    handle.pause();
+    await vi.advanceTimersByTimeAsync(60 * 1000);
+    expect(request).toHaveBeenCalledTimes(1);
+
+    handle.resume();
+    await expect(handle.promise).resolves.toBe('done');
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+});
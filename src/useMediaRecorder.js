@@ -0,0 +1,512 @@
+// Camera and screen recording with MediaRecorder, persisted chunk by chunk so no recording is lost
+
+import { useState, useRef, useEffect } from 'react';
+import { saveVideo, getVideo, createSession, appendChunk, recoverSessions } from './db';
+import { enqueue, subscribe, startUploadQueue, QueueState } from './uploadQueue';
+import { configureUploads } from './uploadConfig';
+import { requestPersistentStorage, getStorageEstimate, isLowOnSpace, isQuotaExceededError } from './storage';
+import { formatBytes } from './uploadUtils';
+import { getRecorderSettings, saveRecorderSettings, buildMediaConstraints, getVideoBitsPerSecond, getRecordingLimits, getReachedLimit, LimitAction, CaptureMode } from './recorderSettings';
+import { getCaptureMode, openScreenCapture, stopCaptureStream, getCaptureSize } from './screenCapture';
+import { pickRecorderMimeType, getFileExtension } from './codecs';
+import { downloadBlob } from './download';
+import { fixWebmMetadata } from './webm';
+
+// How often MediaRecorder hands over a chunk to be persisted (ms)
+const CHUNK_TIMESLICE = 1000;
+// How often the timer display and recording limits are checked (ms)
+const TIMER_INTERVAL = 250;
+
+/**
+ * Record from the camera or the screen, save each clip to IndexedDB and hand it to the upload queue
+ * Chunks are persisted while recording, and recordings interrupted by a crash or closed tab are
+ * recovered on mount. Settings are shared with the app through localStorage.
+ * @param {Object} [options]
+ * @param {Function} [options.onSaved] - Called with the video record after each clip is saved
+ * @param {Function} [options.onUploaded] - Called with the video record once a clip recorded here is uploaded
+ * @param {Function} [options.onRecovered] - Called with the video records recovered from interrupted recordings
+ * @param {Function} [options.onError] - Called with errors that are not shown by the recorder itself (recovery, queueing)
+ * @param {boolean} [options.autoUpload=true] - Queue each saved clip for upload
+ * @param {import('./uploadConfig').UploadConfig} [options.uploadConfig] - Provider settings for the upload queue;
+ *   leave out if the app calls configureUploads itself
+ * @returns {Object} - Recorder state and actions (see README, "Embedding the recorder")
+ */
+export function useMediaRecorder({ onSaved, onUploaded, onRecovered, onError, autoUpload = true, uploadConfig } = {}) {
+  const [recording, setRecording] = useState(false);
+  const [paused, setPaused] = useState(false);
+  const [stream, setStream] = useState(null);
+  const [error, setError] = useState(null);
+  const [recordingTime, setRecordingTime] = useState(0);
+  const [limitNotice, setLimitNotice] = useState(null);
+  const [unsavedRecording, setUnsavedRecording] = useState(null);
+  const [settings, setSettings] = useState(getRecorderSettings);
+
+  const captureMode = getCaptureMode(settings);
+
+  const videoRef = useRef(null);
+  const mediaRecorderRef = useRef(null);
+  const segmentRef = useRef(null); // clip currently being recorded
+  const timerRef = useRef(null);
+  const recordingStartRef = useRef(0); // when the current unpaused stretch began (0 while paused)
+  const elapsedRef = useRef(0); // active recording time before the current stretch (ms)
+  const savedIdsRef = useRef(new Set()); // videos recorded here whose upload has not been reported yet
+  // Recorder callbacks outlive the render that started them, so they read the latest options from a ref
+  const optionsRef = useRef(null);
+  optionsRef.current = { onSaved, onUploaded, onRecovered, onError, autoUpload };
+
+  // Before the effects below, which may start uploads
+  useEffect(() => {
+    if (uploadConfig) {
+      configureUploads(uploadConfig);
+    }
+  }, [uploadConfig]);
+
+  // Recover interrupted recordings and ask the browser to keep them on mount
+  useEffect(() => {
+    recoverSessions()
+      .then(async (recovered) => {
+        if (recovered.length === 0) {
+          return;
+        }
+        const videos = await Promise.all(recovered.map(getVideo));
+        if (optionsRef.current.autoUpload) {
+          recovered.forEach(id => savedIdsRef.current.add(id));
+          await Promise.all(recovered.map(enqueue));
+        }
+        optionsRef.current.onRecovered?.(videos.filter(Boolean));
+      })
+      .catch((recoveryError) => {
+        console.error('Recording recovery failed:', recoveryError);
+        reportError(new Error(`Could not recover interrupted recordings: ${recoveryError.message}`, { cause: recoveryError }));
+      });
+
+    requestPersistentStorage().then((persisted) => {
+      if (!persisted) {
+        console.warn('Persistent storage not granted; the browser may evict recordings');
+      }
+    });
+  }, []);
+
+  // Run the upload queue and report uploads of the clips recorded here
+  useEffect(() => {
+    const unsubscribe = subscribe((event) => {
+      const { item } = event;
+      if (event.type !== 'change' || item.state !== QueueState.DONE || !savedIdsRef.current.has(item.videoId)) {
+        return;
+      }
+      savedIdsRef.current.delete(item.videoId);
+      getVideo(item.videoId).then((video) => {
+        if (video) {
+          optionsRef.current.onUploaded?.(video);
+        }
+      });
+    });
+    const stopQueue = startUploadQueue();
+
+    return () => {
+      unsubscribe();
+      stopQueue();
+      clearInterval(timerRef.current);
+    };
+  }, []);
+
+  // Stop stream when unmounting
+  useEffect(() => {
+    return () => stopCaptureStream(stream);
+  }, [stream]);
+
+  function reportError(reported) {
+    optionsRef.current.onError?.(reported);
+  }
+
+  /**
+   * Open the camera with the given settings and show it in the preview
+   */
+  async function openCamera(cameraSettings) {
+    setError(null);
+
+    let mediaStream;
+    try {
+      mediaStream = await navigator.mediaDevices.getUserMedia(buildMediaConstraints(cameraSettings));
+    } catch (cameraError) {
+      // A saved device may have been unplugged; fall back to the default devices
+      if (cameraError.name !== 'OverconstrainedError' || !(cameraSettings.videoDeviceId || cameraSettings.audioDeviceId)) {
+        throw cameraError;
+      }
+      const fallback = { ...cameraSettings, videoDeviceId: '', audioDeviceId: '' };
+      setSettings(fallback);
+      saveRecorderSettings(fallback);
+      mediaStream = await navigator.mediaDevices.getUserMedia(buildMediaConstraints(fallback));
+    }
+
+    return showStream(mediaStream);
+  }
+
+  /**
+   * Open what the capture mode records (camera, screen, or screen with a camera bubble) and show it in the preview
+   */
+  async function openCapture(captureSettings) {
+    const mode = getCaptureMode(captureSettings);
+    if (mode === CaptureMode.CAMERA) {
+      return openCamera(captureSettings);
+    }
+
+    setError(null);
+    const mediaStream = await openScreenCapture(mode, captureSettings, { onEnded: handleCaptureEnded });
+    return showStream(mediaStream);
+  }
+
+  /**
+   * Replace the current stream and preview it
+   */
+  function showStream(mediaStream) {
+    stopCaptureStream(stream);
+    setStream(mediaStream);
+
+    // Show preview
+    if (videoRef.current) {
+      videoRef.current.srcObject = mediaStream;
+    }
+    return mediaStream;
+  }
+
+  function clearPreview() {
+    setStream(null);
+    if (videoRef.current) {
+      videoRef.current.srcObject = null;
+    }
+  }
+
+  /**
+   * The user stopped sharing their screen from the browser's controls
+   */
+  function handleCaptureEnded() {
+    if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
+      stopRecording();
+      return;
+    }
+    clearPreview();
+  }
+
+  async function startPreview(cameraSettings = settings) {
+    try {
+      await openCamera(cameraSettings);
+    } catch (cameraError) {
+      console.error('Error accessing camera:', cameraError);
+      setError(cameraError.message);
+    }
+  }
+
+  async function changeSettings(newSettings) {
+    setSettings(newSettings);
+    saveRecorderSettings(newSettings);
+
+    // Apply to the live camera preview right away; a screen share is not re-requested for every change
+    if (stream && !recording && getCaptureMode(newSettings) === CaptureMode.CAMERA) {
+      await startPreview(newSettings);
+    }
+  }
+
+  function changeCaptureMode(mode) {
+    // The current preview belongs to the old mode
+    stopCaptureStream(stream);
+    clearPreview();
+    setError(null);
+
+    const newSettings = { ...settings, captureMode: mode };
+    setSettings(newSettings);
+    saveRecorderSettings(newSettings);
+  }
+
+  async function flipCamera() {
+    await changeSettings({
+      ...settings,
+      videoDeviceId: '',
+      facingMode: settings.facingMode === 'user' ? 'environment' : 'user',
+    });
+  }
+
+  async function startRecording() {
+    const estimate = await getStorageEstimate();
+    if (isLowOnSpace(estimate)
+      && !confirm(`Only ${formatBytes(estimate.available)} of storage left. The recording may fail to save. Record anyway?`)) {
+      return;
+    }
+
+    try {
+      // Reuse the preview stream, or request camera (or screen) and microphone access
+      const mediaStream = stream || await openCapture(settings);
+
+      segmentRef.current = null;
+      elapsedRef.current = 0;
+      setLimitNotice(null);
+      await startSegment(mediaStream);
+      setRecording(true);
+      setPaused(false);
+
+      setRecordingTime(0);
+      startTimer();
+    } catch (captureError) {
+      console.error('Error accessing camera:', captureError);
+      setError(captureError.message);
+    }
+  }
+
+  /**
+   * Start recording one clip from the stream
+   * Each clip has its own recorder, session and chunks, so a rollover can start the next clip before the previous one stops.
+   */
+  async function startSegment(mediaStream) {
+    // Initialize MediaRecorder with the best format this browser supports
+    const requestedMimeType = pickRecorderMimeType();
+    const mediaRecorder = new MediaRecorder(mediaStream, {
+      ...(requestedMimeType && { mimeType: requestedMimeType }),
+      videoBitsPerSecond: getVideoBitsPerSecond(settings),
+    });
+    // The recorder reports what it actually produces, which may differ from (or fill in) the request
+    const mimeType = mediaRecorder.mimeType || requestedMimeType || 'video/webm';
+
+    const segment = {
+      index: (segmentRef.current?.index || 0) + 1,
+      chunks: [],
+      bytes: 0,
+      startedAt: getElapsed(),
+      limits: getRecordingLimits(settings),
+      // Read now: the stream is released as soon as the recording stops, before the clip is saved
+      size: getCaptureSize(mediaStream),
+      writes: Promise.resolve(),
+      stopping: false,
+    };
+
+    // Without a session (e.g. storage full) the recording is kept in memory only
+    const session = await createSession(mimeType).catch((sessionError) => {
+      console.error('Failed to start recording session:', sessionError);
+      return null;
+    });
+    const sessionId = session?.id || null;
+
+    mediaRecorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        const seq = segment.chunks.length;
+        segment.chunks.push(event.data);
+        segment.bytes += event.data.size;
+        checkLimits();
+        if (!sessionId) {
+          return;
+        }
+        // Persist each chunk as it arrives so a crash mid-recording loses at most one timeslice
+        segment.writes = segment.writes
+          .then(() => appendChunk(sessionId, seq, event.data))
+          .catch(chunkError => console.error('Failed to persist chunk:', chunkError));
+      }
+    };
+
+    mediaRecorder.onstop = async () => {
+      const elapsed = (getElapsed() - segment.startedAt) / 1000;
+      // A rollover has already handed the stream to the next clip
+      const isLastSegment = mediaRecorderRef.current === mediaRecorder;
+
+      // Combine chunks into single blob, then add the duration and seek index MediaRecorder leaves out
+      const recorded = new Blob(segment.chunks, { type: mimeType });
+      const { blob, duration } = await fixWebmMetadata(recorded).catch((fixError) => {
+        console.warn('Could not add duration to recording:', fixError);
+        return { blob: recorded, duration: null };
+      });
+
+      // CRITICAL: Save to IndexedDB BEFORE upload attempt
+      // Wait for pending chunk writes so none land after the session is cleared
+      await segment.writes;
+      const { width, height } = segment.size;
+      const rolledOver = segment.index > 1 || !isLastSegment;
+      await saveRecording(blob, {
+        sessionId,
+        metadata: {
+          mimeType,
+          duration: duration ?? elapsed,
+          width,
+          height,
+          ...(rolledOver && { title: `Part ${segment.index}` }),
+        },
+      }, session?.release);
+    };
+
+    mediaRecorder.start(CHUNK_TIMESLICE);
+    mediaRecorderRef.current = mediaRecorder;
+    segmentRef.current = segment;
+  }
+
+  /**
+   * Active recording time in ms, excluding paused stretches
+   */
+  function getElapsed() {
+    const running = recordingStartRef.current ? Date.now() - recordingStartRef.current : 0;
+    return elapsedRef.current + running;
+  }
+
+  function startTimer() {
+    recordingStartRef.current = Date.now();
+    timerRef.current = setInterval(() => {
+      setRecordingTime(Math.floor(getElapsed() / 1000));
+      checkLimits();
+    }, TIMER_INTERVAL);
+  }
+
+  function stopTimer() {
+    clearInterval(timerRef.current);
+    elapsedRef.current = getElapsed();
+    recordingStartRef.current = 0;
+  }
+
+  /**
+   * Stop or roll over the current clip once it reaches the duration or size limit
+   * Runs from timer and recorder callbacks, so it reads refs rather than state.
+   */
+  function checkLimits() {
+    const segment = segmentRef.current;
+    if (!segment || segment.stopping) {
+      return;
+    }
+
+    const reached = getReachedLimit({ bytes: segment.bytes, duration: getElapsed() - segment.startedAt }, segment.limits);
+    if (!reached) {
+      return;
+    }
+
+    segment.stopping = true;
+    if (segment.limits.action === LimitAction.SPLIT) {
+      rollOver();
+    } else {
+      setLimitNotice(`Recording stopped at the ${reached === 'size' ? 'maximum size' : 'maximum length'}.`);
+      stopRecording();
+    }
+  }
+
+  /**
+   * Continue recording into a new clip: start the next recorder, then stop the previous one
+   */
+  async function rollOver() {
+    const previous = mediaRecorderRef.current;
+    try {
+      await startSegment(previous.stream);
+      setLimitNotice(`Limit reached; continuing in part ${segmentRef.current.index}.`);
+    } catch (segmentError) {
+      console.error('Failed to start the next clip:', segmentError);
+      stopRecording();
+      return;
+    }
+    if (previous.state === 'inactive') {
+      // Stopped by the user while the next clip was starting
+      mediaRecorderRef.current.stop();
+      return;
+    }
+    previous.stop();
+  }
+
+  function pauseRecording() {
+    if (mediaRecorderRef.current?.state === 'recording') {
+      mediaRecorderRef.current.pause();
+      stopTimer();
+      setPaused(true);
+    }
+  }
+
+  function resumeRecording() {
+    if (mediaRecorderRef.current?.state === 'paused') {
+      mediaRecorderRef.current.resume();
+      startTimer();
+      setPaused(false);
+    }
+  }
+
+  /**
+   * Save a clip and clear its session
+   * @param {Function} [releaseSession] - Releases the session's recording lock; kept while the clip is unsaved,
+   *   so other tabs do not recover the session that a retry will still clear
+   */
+  async function saveRecording(blob, saveOptions, releaseSession = () => {}) {
+    let videoId;
+    try {
+      videoId = await saveVideo(blob, saveOptions);
+    } catch (saveError) {
+      // Keep the recording in memory so it can be downloaded or saved again after freeing space
+      console.error('Failed to save recording:', saveError);
+      setUnsavedRecording({
+        blob,
+        saveOptions,
+        releaseSession,
+        reason: isQuotaExceededError(saveError) ? 'Storage is full' : saveError.message,
+      });
+      return;
+    }
+    releaseSession();
+    setUnsavedRecording(null);
+
+    try {
+      const { autoUpload: upload } = optionsRef.current;
+      savedIdsRef.current.add(videoId);
+      optionsRef.current.onSaved?.(await getVideo(videoId));
+      // Hand the recording to the upload queue
+      if (upload) {
+        await enqueue(videoId);
+      }
+    } catch (queueError) {
+      console.error('Failed to queue recording for upload:', queueError);
+      reportError(new Error(`Could not queue the recording for upload: ${queueError.message}`, { cause: queueError }));
+    }
+  }
+
+  function retrySave() {
+    return saveRecording(unsavedRecording.blob, unsavedRecording.saveOptions, unsavedRecording.releaseSession);
+  }
+
+  function downloadUnsavedRecording() {
+    const { blob } = unsavedRecording;
+    downloadBlob(blob, `recording-${Date.now()}.${getFileExtension(blob.type)}`);
+  }
+
+  function dismissUnsavedRecording() {
+    // Its session stays stored, so the recording is recovered on the next start
+    unsavedRecording.releaseSession();
+    setUnsavedRecording(null);
+  }
+
+  function stopRecording() {
+    // Also called from timer callbacks, so check the recorder rather than `recording` state
+    const mediaRecorder = mediaRecorderRef.current;
+    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+      stopTimer();
+      mediaRecorder.stop();
+      // Release the camera or screen now rather than after the clip is saved, which takes a while:
+      // a recording started in the meantime opens a new stream instead of reusing this one
+      stopCaptureStream(mediaRecorder.stream);
+      clearPreview();
+      setRecording(false);
+      setPaused(false);
+      setRecordingTime(0);
+    }
+  }
+
+  return {
+    videoRef,
+    stream,
+    settings,
+    captureMode,
+    recording,
+    paused,
+    recordingTime,
+    error,
+    limitNotice,
+    unsavedRecording,
+    startPreview,
+    startRecording,
+    pauseRecording,
+    resumeRecording,
+    stopRecording,
+    changeSettings,
+    changeCaptureMode,
+    flipCamera,
+    retrySave,
+    downloadUnsavedRecording,
+    dismissUnsavedRecording,
+  };
+}
@@ -0,0 +1,24 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Object URL for a blob, created when the component needs it and revoked when
+ * it unmounts or the blob changes (creating URLs during render leaks them)
+ * @param {Blob|null} blob - Blob to expose, or null for none
+ * @returns {string|null} - Object URL, or null until it is created
+ */
+export function useObjectURL(blob) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!blob) {
+      setUrl(null);
+      return undefined;
+    }
+
+    const objectUrl = URL.createObjectURL(blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [blob]);
+
+  return url;
+}
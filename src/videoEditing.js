@@ -0,0 +1,155 @@
+// In-browser editing of saved recordings: trimming and poster thumbnails
+
+import { pickRecorderMimeType } from './codecs';
+import { fixWebmMetadata } from './webm';
+
+const THUMBNAIL_WIDTH = 480;
+const THUMBNAIL_QUALITY = 0.8;
+
+/**
+ * Load a blob into an off-screen video element, ready to seek and draw
+ */
+function loadVideo(blob) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.onloadeddata = () => resolve(video);
+    video.onerror = () => {
+      releaseVideo(video);
+      reject(new Error('This video could not be decoded by the browser'));
+    };
+    video.src = URL.createObjectURL(blob);
+  });
+}
+
+/**
+ * Stop playback and free the element's object URL
+ */
+function releaseVideo(video) {
+  const url = video.src;
+  video.pause();
+  video.removeAttribute('src');
+  video.load();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Seek and wait until the frame at that time is available
+ */
+function seek(video, time) {
+  return new Promise((resolve) => {
+    if (Math.abs(video.currentTime - time) < 0.001) {
+      resolve();
+      return;
+    }
+    video.addEventListener('seeked', () => resolve(), { once: true });
+    video.currentTime = time;
+  });
+}
+
+/**
+ * Draw the current frame of a video element as a JPEG
+ * @param {HTMLVideoElement} video - Element with a decoded frame
+ * @returns {Promise<Blob>} - JPEG image no wider than THUMBNAIL_WIDTH
+ */
+export function captureFrame(video) {
+  const scale = Math.min(1, THUMBNAIL_WIDTH / video.videoWidth);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      image => (image ? resolve(image) : reject(new Error('Failed to encode thumbnail'))),
+      'image/jpeg',
+      THUMBNAIL_QUALITY
+    );
+  });
+}
+
+/**
+ * Create a poster thumbnail from a video blob
+ * @param {Blob} blob - Video
+ * @param {number} [time] - Position in seconds (clamped to the video)
+ * @returns {Promise<Blob>} - JPEG image
+ */
+export async function createThumbnail(blob, time = 0) {
+  const video = await loadVideo(blob);
+  try {
+    const duration = Number.isFinite(video.duration) ? video.duration : time;
+    await seek(video, Math.min(time, duration));
+    return await captureFrame(video);
+  } finally {
+    releaseVideo(video);
+  }
+}
+
+/**
+ * Produce a copy of the video between two points, without uploading anything.
+ *
+ * The range is played back in an off-screen element and re-recorded from
+ * `captureStream()`, so it takes as long as the trimmed clip and re-encodes
+ * with the browser's recording codec.
+ * @param {Blob} blob - Source video
+ * @param {number} start - In point in seconds
+ * @param {number} end - Out point in seconds
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with 0-100
+ * @returns {Promise<Blob>} - Trimmed video
+ */
+export async function trimVideo(blob, start, end, { onProgress } = {}) {
+  if (end <= start) {
+    throw new Error('The out point must be after the in point');
+  }
+
+  const video = await loadVideo(blob);
+  try {
+    const captureStream = video.captureStream || video.mozCaptureStream;
+    if (!captureStream) {
+      throw new Error('Trimming is not supported in this browser');
+    }
+
+    await seek(video, start);
+    const requestedMimeType = pickRecorderMimeType();
+    const recorder = new MediaRecorder(captureStream.call(video), requestedMimeType ? { mimeType: requestedMimeType } : {});
+    const chunks = [];
+
+    const finished = new Promise((resolve, reject) => {
+      const finish = () => {
+        video.pause();
+        if (recorder.state !== 'inactive') {
+          recorder.stop();
+        }
+      };
+
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) {
+          chunks.push(event.data);
+        }
+      };
+      recorder.onstop = resolve;
+      recorder.onerror = event => reject(event.error || new Error('Recording the trimmed copy failed'));
+      video.ontimeupdate = () => {
+        if (onProgress) {
+          onProgress(Math.min(100, Math.round(((video.currentTime - start) / (end - start)) * 100)));
+        }
+        if (video.currentTime >= end) {
+          finish();
+        }
+      };
+      video.onended = finish;
+    });
+
+    recorder.start(1000);
+    await video.play();
+    await finished;
+
+    const trimmed = new Blob(chunks, { type: recorder.mimeType || requestedMimeType || blob.type });
+    return (await fixWebmMetadata(trimmed).catch(() => ({ blob: trimmed }))).blob;
+  } finally {
+    releaseVideo(video);
+  }
+}
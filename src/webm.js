@@ -0,0 +1,492 @@
+// Add the duration and seek index (Cues) that MediaRecorder leaves out of WebM files
+//
+// MediaRecorder streams WebM as it records, so the Segment and Clusters have an
+// "unknown" size, Info has no Duration and there are no Cues. Players then show
+// no length and cannot seek. This rewrites the file with known sizes, a
+// SeekHead, the real duration (up to the end of the last frame) and one cue per
+// cluster. Only element headers are read, a window at a time; cluster contents
+// are reused as slices of the original Blob, so the file is never loaded whole.
+
+import { getContainerType } from './codecs';
+
+const ID = {
+  EBML: 0x1a45dfa3,
+  SEGMENT: 0x18538067,
+  SEEK_HEAD: 0x114d9b74,
+  SEEK: 0x4dbb,
+  SEEK_ID: 0x53ab,
+  SEEK_POSITION: 0x53ac,
+  INFO: 0x1549a966,
+  TIMECODE_SCALE: 0x2ad7b1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  TRACK_NUMBER: 0xd7,
+  TRACK_TYPE: 0x83,
+  DEFAULT_DURATION: 0x23e383,
+  CLUSTER: 0x1f43b675,
+  TIMECODE: 0xe7,
+  SIMPLE_BLOCK: 0xa3,
+  BLOCK_GROUP: 0xa0,
+  BLOCK: 0xa1,
+  BLOCK_DURATION: 0x9b,
+  CUES: 0x1c53bb6b,
+  CUE_POINT: 0xbb,
+  CUE_TIME: 0xb3,
+  CUE_TRACK_POSITIONS: 0xb7,
+  CUE_TRACK: 0xf7,
+  CUE_CLUSTER_POSITION: 0xf1,
+  VOID: 0xec,
+};
+
+// Elements directly inside the Segment; one of these ends a Cluster of unknown size
+const TOP_LEVEL_IDS = new Set([
+  ID.SEEK_HEAD, ID.INFO, ID.TRACKS, ID.CLUSTER, ID.CUES,
+  0x1043a770, // Chapters
+  0x1254c367, // Tags
+  0x1941a469, // Attachments
+]);
+
+const VIDEO_TRACK_TYPE = 1;
+const DEFAULT_TIMECODE_SCALE = 1000000; // 1ms per tick
+// Sizes are written with 8 bytes so positions can be computed before the sizes are known
+const SIZE_LENGTH = 8;
+// Bytes read from the recording at a time
+const READ_WINDOW = 1024 * 1024;
+// Longest element header: a 4-byte ID and an 8-byte size
+const MAX_HEADER_LENGTH = 12;
+// Enough of a Block for its track number (up to 8 bytes), timecode and flags
+const BLOCK_HEADER_LENGTH = 11;
+
+/**
+ * Read byte ranges of a Blob through a window of READ_WINDOW bytes, moving forward through the file
+ */
+function createBlobReader(blob) {
+  let windowStart = 0;
+  let windowBytes = new Uint8Array(0);
+
+  /**
+   * Bytes `[start, start + length)`, fewer at the end of the file
+   */
+  async function read(start, length) {
+    if (start >= blob.size) {
+      return new Uint8Array(0);
+    }
+    const end = Math.min(start + length, blob.size);
+    if (start < windowStart || end > windowStart + windowBytes.length) {
+      windowStart = start;
+      windowBytes = new Uint8Array(await blob.slice(start, Math.max(end, start + READ_WINDOW)).arrayBuffer());
+    }
+    return windowBytes.subarray(start - windowStart, end - windowStart);
+  }
+
+  return { read };
+}
+
+/**
+ * Read an element ID (length marker kept, as IDs are written)
+ */
+function readId(bytes, pos) {
+  const first = bytes[pos];
+  let length = 1;
+  while (length <= 4 && !(first & (0x80 >> (length - 1)))) {
+    length++;
+  }
+  if (length > 4 || pos + length > bytes.length) {
+    return null;
+  }
+  let value = 0;
+  for (let i = 0; i < length; i++) {
+    value = value * 256 + bytes[pos + i];
+  }
+  return { value, length };
+}
+
+/**
+ * Read a variable-length size; `value` is null for "unknown size"
+ */
+function readSize(bytes, pos) {
+  const first = bytes[pos];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) {
+    length++;
+  }
+  if (length > 8 || pos + length > bytes.length) {
+    return null;
+  }
+  let value = first & (0xff >> length);
+  let allOnes = value === 0xff >> length;
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[pos + i];
+    allOnes = allOnes && bytes[pos + i] === 0xff;
+  }
+  return { value: allOnes ? null : value, length };
+}
+
+/**
+ * Read an element header at `pos`
+ * @returns {{id: number, start: number, dataStart: number, size: number|null}|null} - null if cut off
+ */
+function readElement(bytes, pos) {
+  if (pos >= bytes.length) {
+    return null;
+  }
+  const id = readId(bytes, pos);
+  const size = id && readSize(bytes, pos + id.length);
+  if (!size) {
+    return null;
+  }
+  return { id: id.value, start: pos, dataStart: pos + id.length + size.length, size: size.value };
+}
+
+function readUint(bytes, start, length) {
+  let value = 0;
+  for (let i = 0; i < length; i++) {
+    value = value * 256 + bytes[start + i];
+  }
+  return value;
+}
+
+/**
+ * Iterate over the children of an element with a known size
+ */
+function* children(bytes, start, end) {
+  let pos = start;
+  while (pos < end) {
+    const element = readElement(bytes, pos);
+    if (!element || element.size === null || element.dataStart + element.size > end) {
+      return;
+    }
+    yield element;
+    pos = element.dataStart + element.size;
+  }
+}
+
+/**
+ * Read the element header at `pos` of the file
+ * @returns {Promise<{id: number, start: number, dataStart: number, size: number|null}|null>} - null if cut off
+ */
+async function readElementAt(reader, pos) {
+  const header = readElement(await reader.read(pos, MAX_HEADER_LENGTH), 0);
+  return header && { ...header, start: pos, dataStart: pos + header.dataStart };
+}
+
+/**
+ * A copy of a whole element with a known size, header included
+ */
+async function readWhole(reader, element) {
+  return (await reader.read(element.start, element.dataStart + element.size - element.start)).slice();
+}
+
+/**
+ * Track number and relative timecode of a SimpleBlock or Block
+ */
+function readBlock(bytes, dataStart) {
+  const track = readSize(bytes, dataStart);
+  const view = new DataView(bytes.buffer, bytes.byteOffset + dataStart + track.length, 3);
+  return {
+    track: track.value,
+    timecode: view.getInt16(0),
+    keyframe: Boolean(view.getUint8(2) & 0x80),
+  };
+}
+
+/**
+ * The Block of a BlockGroup, with its BlockDuration when it has one
+ */
+async function readBlockGroup(reader, group) {
+  const end = group.dataStart + group.size;
+  let block = null;
+  let duration = null;
+
+  let pos = group.dataStart;
+  while (pos < end) {
+    const child = await readElementAt(reader, pos);
+    if (!child || child.size === null || child.dataStart + child.size > end) {
+      break;
+    }
+    if (child.id === ID.BLOCK) {
+      block = readBlock(await reader.read(child.dataStart, BLOCK_HEADER_LENGTH), 0);
+    } else if (child.id === ID.BLOCK_DURATION) {
+      duration = readUint(await reader.read(child.dataStart, child.size), 0, child.size);
+    }
+    pos = child.dataStart + child.size;
+  }
+
+  // Blocks in a BlockGroup are keyframes unless they reference another frame; treat as not seekable
+  return block ? { ...block, keyframe: false, duration } : null;
+}
+
+/**
+ * Walk one Cluster: find its end (when its size is unknown), its timecode and its blocks
+ * Only element headers are read. Blocks cut off at the end of the file are dropped.
+ */
+async function readCluster(reader, element, segmentEnd) {
+  const knownEnd = element.size === null ? segmentEnd : element.dataStart + element.size;
+  const cluster = { start: element.start, dataStart: element.dataStart, end: element.dataStart, timecode: 0, blocks: [] };
+
+  let pos = element.dataStart;
+  while (pos < knownEnd) {
+    const child = await readElementAt(reader, pos);
+    if (!child || TOP_LEVEL_IDS.has(child.id) || child.id === ID.EBML) {
+      break;
+    }
+    if (child.size === null || child.dataStart + child.size > knownEnd) {
+      break;
+    }
+
+    if (child.id === ID.TIMECODE) {
+      cluster.timecode = readUint(await reader.read(child.dataStart, child.size), 0, child.size);
+    } else if (child.id === ID.SIMPLE_BLOCK) {
+      cluster.blocks.push({ ...readBlock(await reader.read(child.dataStart, BLOCK_HEADER_LENGTH), 0), duration: null });
+    } else if (child.id === ID.BLOCK_GROUP) {
+      const block = await readBlockGroup(reader, child);
+      if (block) {
+        cluster.blocks.push(block);
+      }
+    }
+
+    pos = child.dataStart + child.size;
+    cluster.end = pos;
+  }
+
+  return cluster;
+}
+
+/**
+ * Ticks from a frame's timestamp to the end of the recording's last frame.
+ * A frame lasts for its BlockDuration, else its track's DefaultDuration, else as long as the
+ * gap before it on its track (MediaRecorder writes neither, and frames come at a steady rate).
+ */
+function getDurationTicks(clusters, defaultDurations) {
+  const lastTimes = new Map();
+  const gaps = new Map();
+  let durationTicks = 0;
+
+  for (const cluster of clusters) {
+    for (const block of cluster.blocks) {
+      const time = cluster.timecode + block.timecode;
+      const previous = lastTimes.get(block.track);
+      if (previous !== undefined && time > previous) {
+        gaps.set(block.track, time - previous);
+      }
+      lastTimes.set(block.track, time);
+      const length = block.duration ?? defaultDurations.get(block.track) ?? gaps.get(block.track) ?? 0;
+      durationTicks = Math.max(durationTicks, time + length);
+    }
+  }
+  return durationTicks;
+}
+
+function concat(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+function encodeId(id) {
+  const bytes = [];
+  for (let value = id; value > 0; value = Math.floor(value / 256)) {
+    bytes.unshift(value % 256);
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Encode a size as an 8-byte vint
+ */
+function encodeSize(size) {
+  const bytes = new Uint8Array(SIZE_LENGTH);
+  let value = size;
+  for (let i = SIZE_LENGTH - 1; i > 0; i--) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  bytes[0] = 0x01;
+  return bytes;
+}
+
+function element(id, ...payload) {
+  const data = concat(payload);
+  return concat([encodeId(id), encodeSize(data.length), data]);
+}
+
+function uintElement(id, value, length = 8) {
+  const bytes = new Uint8Array(length);
+  let remaining = value;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = remaining % 256;
+    remaining = Math.floor(remaining / 256);
+  }
+  return element(id, bytes);
+}
+
+function floatElement(id, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return element(id, bytes);
+}
+
+/**
+ * Rewrite a WebM recording with its duration and a seek index.
+ * Other formats (e.g. MP4 from Safari) are returned unchanged.
+ * @param {Blob} blob - Recording as produced by MediaRecorder
+ * @returns {Promise<{blob: Blob, duration: number|null}>} - Fixed file and its duration in seconds (null if unchanged)
+ */
+export async function fixWebmMetadata(blob) {
+  const container = getContainerType(blob.type);
+  if (container !== 'video/webm' && container !== 'audio/webm') {
+    return { blob, duration: null };
+  }
+
+  const reader = createBlobReader(blob);
+  const header = await readElementAt(reader, 0);
+  if (!header || header.id !== ID.EBML || header.size === null) {
+    throw new Error('Not a WebM file');
+  }
+  const segment = await readElementAt(reader, header.dataStart + header.size);
+  if (!segment || segment.id !== ID.SEGMENT) {
+    throw new Error('WebM file has no segment');
+  }
+  const segmentEnd = segment.size === null
+    ? blob.size
+    : Math.min(blob.size, segment.dataStart + segment.size);
+
+  // Info, Tracks and other top-level elements are small and read whole, as `bytes`
+  let info = null;
+  let tracks = null;
+  const others = [];
+  const clusters = [];
+
+  let pos = segment.dataStart;
+  while (pos < segmentEnd) {
+    const child = await readElementAt(reader, pos);
+    if (!child) {
+      break;
+    }
+    if (child.id === ID.CLUSTER) {
+      const cluster = await readCluster(reader, child, segmentEnd);
+      if (cluster.blocks.length > 0) {
+        clusters.push(cluster);
+      }
+      if (cluster.end === child.dataStart) {
+        break;
+      }
+      pos = cluster.end;
+      continue;
+    }
+    if (child.size === null || child.dataStart + child.size > segmentEnd) {
+      break;
+    }
+
+    if (child.id === ID.INFO) {
+      info = { ...child, bytes: await readWhole(reader, child) };
+    } else if (child.id === ID.TRACKS) {
+      tracks = { ...child, bytes: await readWhole(reader, child) };
+    } else if (child.id !== ID.SEEK_HEAD && child.id !== ID.CUES && child.id !== ID.VOID) {
+      // Index and padding are rebuilt; anything else (e.g. Tags) is kept as it is
+      others.push({ ...child, bytes: await readWhole(reader, child) });
+    }
+    pos = child.dataStart + child.size;
+  }
+
+  if (!info || !tracks || clusters.length === 0) {
+    throw new Error('WebM file has no info, tracks or media');
+  }
+
+  // Duration, in TimecodeScale ticks like every timestamp in the file
+  let timecodeScale = DEFAULT_TIMECODE_SCALE;
+  const infoChildren = [];
+  for (const child of children(info.bytes, info.dataStart - info.start, info.bytes.length)) {
+    if (child.id === ID.TIMECODE_SCALE) {
+      timecodeScale = readUint(info.bytes, child.dataStart, child.size);
+    }
+    if (child.id !== ID.DURATION) {
+      infoChildren.push(info.bytes.subarray(child.start, child.dataStart + child.size));
+    }
+  }
+
+  // Cue on the video track when there is one, at clusters that start with a keyframe
+  let cueTrack = null;
+  let cueIsVideo = false;
+  const defaultDurations = new Map();
+  for (const entry of children(tracks.bytes, tracks.dataStart - tracks.start, tracks.bytes.length)) {
+    if (entry.id !== ID.TRACK_ENTRY) {
+      continue;
+    }
+    let number = null;
+    let type = null;
+    let defaultDuration = null;
+    for (const field of children(tracks.bytes, entry.dataStart, entry.dataStart + entry.size)) {
+      if (field.id === ID.TRACK_NUMBER) {
+        number = readUint(tracks.bytes, field.dataStart, field.size);
+      } else if (field.id === ID.TRACK_TYPE) {
+        type = readUint(tracks.bytes, field.dataStart, field.size);
+      } else if (field.id === ID.DEFAULT_DURATION) {
+        defaultDuration = readUint(tracks.bytes, field.dataStart, field.size);
+      }
+    }
+    if (defaultDuration) {
+      // DefaultDuration is in nanoseconds, timestamps in ticks
+      defaultDurations.set(number, defaultDuration / timecodeScale);
+    }
+    if (cueTrack === null || (type === VIDEO_TRACK_TYPE && !cueIsVideo)) {
+      cueTrack = number;
+      cueIsVideo = type === VIDEO_TRACK_TYPE;
+    }
+  }
+
+  const durationTicks = getDurationTicks(clusters, defaultDurations);
+  const infoBytes = element(ID.INFO, ...infoChildren, floatElement(ID.DURATION, durationTicks));
+
+  const tracksBytes = tracks.bytes;
+  const otherBytes = others.map(other => other.bytes);
+
+  // Lay out the new segment; every position is relative to the start of its data
+  const seekHeadLength = element(ID.SEEK_HEAD, ...[ID.INFO, ID.TRACKS, ID.CUES].map(id => (
+    element(ID.SEEK, element(ID.SEEK_ID, encodeId(id)), uintElement(ID.SEEK_POSITION, 0))
+  ))).length;
+  const infoPosition = seekHeadLength;
+  const tracksPosition = infoPosition + infoBytes.length;
+  let position = tracksPosition + tracksBytes.length + otherBytes.reduce((sum, part) => sum + part.length, 0);
+
+  const clusterParts = [];
+  const cuePoints = [];
+  for (const cluster of clusters) {
+    const first = cluster.blocks.find(block => block.track === cueTrack);
+    if (first?.keyframe) {
+      cuePoints.push(element(
+        ID.CUE_POINT,
+        uintElement(ID.CUE_TIME, cluster.timecode + first.timecode),
+        element(ID.CUE_TRACK_POSITIONS, uintElement(ID.CUE_TRACK, cueTrack, 1), uintElement(ID.CUE_CLUSTER_POSITION, position))
+      ));
+    }
+    const clusterHeader = concat([encodeId(ID.CLUSTER), encodeSize(cluster.end - cluster.dataStart)]);
+    clusterParts.push(clusterHeader, blob.slice(cluster.dataStart, cluster.end));
+    position += clusterHeader.length + (cluster.end - cluster.dataStart);
+  }
+
+  const cuesPosition = position;
+  const cuesBytes = element(ID.CUES, ...cuePoints);
+  const seekHead = element(ID.SEEK_HEAD, ...[[ID.INFO, infoPosition], [ID.TRACKS, tracksPosition], [ID.CUES, cuesPosition]].map(([id, seekPosition]) => (
+    element(ID.SEEK, element(ID.SEEK_ID, encodeId(id)), uintElement(ID.SEEK_POSITION, seekPosition))
+  )));
+  const segmentSize = cuesPosition + cuesBytes.length;
+
+  const fixed = new Blob([
+    (await reader.read(0, segment.start)).slice(),
+    concat([encodeId(ID.SEGMENT), encodeSize(segmentSize)]),
+    seekHead,
+    infoBytes,
+    tracksBytes,
+    ...otherBytes,
+    ...clusterParts,
+    cuesBytes,
+  ], { type: blob.type });
+
+  return { blob: fixed, duration: (durationTicks * timecodeScale) / 1e9 };
+}
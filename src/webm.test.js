@@ -0,0 +1,249 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { fixWebmMetadata } from './webm';
+
+// Element IDs used by the fixtures
+const EBML = 0x1a45dfa3;
+const SEGMENT = 0x18538067;
+const SEEK_HEAD = 0x114d9b74;
+const SEEK_ID = 0x53ab;
+const SEEK_POSITION = 0x53ac;
+const INFO = 0x1549a966;
+const TIMECODE_SCALE = 0x2ad7b1;
+const DURATION = 0x4489;
+const TRACKS = 0x1654ae6b;
+const TRACK_ENTRY = 0xae;
+const TRACK_NUMBER = 0xd7;
+const TRACK_TYPE = 0x83;
+const CLUSTER = 0x1f43b675;
+const TIMECODE = 0xe7;
+const SIMPLE_BLOCK = 0xa3;
+const BLOCK_GROUP = 0xa0;
+const BLOCK = 0xa1;
+const BLOCK_DURATION = 0x9b;
+const CUES = 0x1c53bb6b;
+const CUE_TIME = 0xb3;
+const CUE_TRACK = 0xf7;
+const CUE_CLUSTER_POSITION = 0xf1;
+
+const VIDEO = 1;
+const AUDIO = 2;
+// MediaRecorder writes the Segment and every Cluster with this "unknown" size
+const UNKNOWN_SIZE = [0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff];
+
+function bytesOf(...parts) {
+  return parts.flatMap(part => (typeof part === 'number' ? [part] : [...part]));
+}
+
+function idBytes(id) {
+  const bytes = [];
+  for (let value = id; value > 0; value = Math.floor(value / 256)) {
+    bytes.unshift(value % 256);
+  }
+  return bytes;
+}
+
+function sizeBytes(size) {
+  return size < 0x7f ? [0x80 | size] : [0x40 | (size >> 8), size & 0xff];
+}
+
+function el(id, ...payload) {
+  const data = bytesOf(...payload);
+  return bytesOf(idBytes(id), sizeBytes(data.length), data);
+}
+
+function unknownSizeEl(id, ...payload) {
+  return bytesOf(idBytes(id), UNKNOWN_SIZE, ...payload);
+}
+
+function uint(id, value) {
+  return el(id, [(value >> 8) & 0xff, value & 0xff]);
+}
+
+function simpleBlock(track, timecode, keyframe = false, frame = [1, 2, 3]) {
+  return el(SIMPLE_BLOCK, 0x80 | track, (timecode >> 8) & 0xff, timecode & 0xff, keyframe ? 0x80 : 0, frame);
+}
+
+function cluster(timecode, ...blocks) {
+  return unknownSizeEl(CLUSTER, uint(TIMECODE, timecode), ...blocks);
+}
+
+/**
+ * A recording laid out the way MediaRecorder writes it: unknown sizes, no Duration, no Cues
+ * The audio track is listed first so the cues have to pick the video track.
+ */
+function recording(...clusters) {
+  return new Blob([Uint8Array.from(bytesOf(
+    el(EBML, el(0x4282, [0x77, 0x65, 0x62, 0x6d])), // DocType "webm"
+    unknownSizeEl(
+      SEGMENT,
+      el(INFO, uint(TIMECODE_SCALE, 1000)),
+      el(TRACKS,
+        el(TRACK_ENTRY, uint(TRACK_NUMBER, AUDIO), uint(TRACK_TYPE, 2)),
+        el(TRACK_ENTRY, uint(TRACK_NUMBER, VIDEO), uint(TRACK_TYPE, 1))),
+      ...clusters
+    )
+  ))], { type: 'video/webm;codecs=vp8,opus' });
+}
+
+/**
+ * Read a vint at `pos`; `marker` keeps the length bits (as for IDs)
+ */
+function readVint(bytes, pos, marker) {
+  let length = 1;
+  while (!(bytes[pos] & (0x80 >> (length - 1)))) {
+    length++;
+  }
+  let value = marker ? bytes[pos] : bytes[pos] & (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[pos + i];
+  }
+  return { value, length };
+}
+
+/**
+ * Parse the elements in `[start, end)`; fails on unknown sizes, which the output must not have
+ */
+function parse(bytes, start = 0, end = bytes.length) {
+  const elements = [];
+  for (let pos = start; pos < end;) {
+    const id = readVint(bytes, pos, true);
+    const size = readVint(bytes, pos + id.length, false);
+    const dataStart = pos + id.length + size.length;
+    expect(dataStart + size.value).toBeLessThanOrEqual(end);
+    elements.push({ id: id.value, start: pos, dataStart, end: dataStart + size.value });
+    pos = dataStart + size.value;
+  }
+  return elements;
+}
+
+function childrenOf(bytes, parent) {
+  return parse(bytes, parent.dataStart, parent.end);
+}
+
+function find(bytes, parent, id) {
+  return childrenOf(bytes, parent).find(child => child.id === id);
+}
+
+function readUint(bytes, element) {
+  return bytes.slice(element.dataStart, element.end).reduce((value, byte) => value * 256 + byte, 0);
+}
+
+async function fix(blob) {
+  const result = await fixWebmMetadata(blob);
+  const bytes = new Uint8Array(await result.blob.arrayBuffer());
+  const [header, segment, ...rest] = parse(bytes);
+  expect(header.id).toBe(EBML);
+  expect(segment.id).toBe(SEGMENT);
+  expect(rest).toEqual([]);
+  return { ...result, bytes, segment, children: childrenOf(bytes, segment) };
+}
+
+describe('fixWebmMetadata', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('gives clusters of unknown size their sizes and indexes them with a SeekHead and Cues', async () => {
+    const { bytes, segment, children } = await fix(recording(
+      cluster(0, simpleBlock(VIDEO, 0, true), simpleBlock(AUDIO, 0), simpleBlock(VIDEO, 33), simpleBlock(AUDIO, 20)),
+      cluster(66, simpleBlock(VIDEO, 0, true), simpleBlock(AUDIO, -26)),
+      cluster(99, simpleBlock(AUDIO, 0), simpleBlock(VIDEO, 0))
+    ));
+
+    expect(children.map(child => child.id)).toEqual([SEEK_HEAD, INFO, TRACKS, CLUSTER, CLUSTER, CLUSTER, CUES]);
+    const clusters = children.filter(child => child.id === CLUSTER);
+    expect(clusters.map(child => childrenOf(bytes, child).length)).toEqual([5, 3, 3]);
+
+    // Every SeekHead position leads to the element it names
+    const seeks = childrenOf(bytes, children[0]).map(seek => ({
+      id: readUint(bytes, find(bytes, seek, SEEK_ID)),
+      start: segment.dataStart + readUint(bytes, find(bytes, seek, SEEK_POSITION)),
+    }));
+    expect(seeks).toEqual([INFO, TRACKS, CUES].map(id => ({ id, start: children.find(child => child.id === id).start })));
+
+    // One cue per cluster that starts with a video keyframe, pointing at that cluster
+    const cues = childrenOf(bytes, children.at(-1)).map((point) => {
+      const positions = childrenOf(bytes, point)[1];
+      return {
+        time: readUint(bytes, find(bytes, point, CUE_TIME)),
+        track: readUint(bytes, find(bytes, positions, CUE_TRACK)),
+        start: segment.dataStart + readUint(bytes, find(bytes, positions, CUE_CLUSTER_POSITION)),
+      };
+    });
+    expect(cues).toEqual([
+      { time: 0, track: VIDEO, start: clusters[0].start },
+      { time: 66, track: VIDEO, start: clusters[1].start },
+    ]);
+  });
+
+  it('counts the last frame in the duration', async () => {
+    // Video frames every 33 ticks, the last at 99; audio every 20, the last at 80
+    const { bytes, children, duration } = await fix(recording(
+      cluster(0, simpleBlock(VIDEO, 0, true), simpleBlock(AUDIO, 0), simpleBlock(AUDIO, 20), simpleBlock(VIDEO, 33)),
+      cluster(40, simpleBlock(AUDIO, 0), simpleBlock(VIDEO, 26), simpleBlock(AUDIO, 20), simpleBlock(AUDIO, 40), simpleBlock(VIDEO, 59))
+    ));
+
+    const info = children.find(child => child.id === INFO);
+    const durationElement = find(bytes, info, DURATION);
+    const ticks = new DataView(bytes.buffer, durationElement.dataStart, 8).getFloat64(0);
+    expect(ticks).toBe(132);
+    // TimecodeScale 1000: a tick is a microsecond
+    expect(duration).toBeCloseTo(0.000132);
+  });
+
+  it('uses the BlockDuration of a last frame in a BlockGroup', async () => {
+    const { duration } = await fix(recording(cluster(
+      0,
+      simpleBlock(VIDEO, 0, true),
+      simpleBlock(VIDEO, 33),
+      el(BLOCK_GROUP, el(BLOCK, 0x80 | VIDEO, 0, 66, 0, [4, 5, 6]), uint(BLOCK_DURATION, 50))
+    )));
+
+    expect(duration).toBeCloseTo(0.000116);
+  });
+
+  it('drops a block cut off at the end of the file', async () => {
+    const complete = recording(cluster(0, simpleBlock(VIDEO, 0, true), simpleBlock(VIDEO, 33)));
+    // The tab closed while the next block was being written: its header promises more bytes than there are
+    const cutOff = new Blob([complete, Uint8Array.from([SIMPLE_BLOCK, 0x40, 0x80, 0x80 | VIDEO, 0, 66, 0])], { type: complete.type });
+
+    const fixedComplete = await fix(complete);
+    const fixedCutOff = await fix(cutOff);
+
+    expect(fixedCutOff.bytes).toEqual(fixedComplete.bytes);
+    expect(fixedCutOff.duration).toBeCloseTo(0.000066);
+  });
+
+  it('keeps whole clusters byte for byte', async () => {
+    const blocks = [simpleBlock(VIDEO, 0, true, [9, 8, 7]), simpleBlock(VIDEO, 33, false, [6, 5])];
+    const { bytes, children } = await fix(recording(cluster(0, ...blocks)));
+
+    const clusterElement = children.find(child => child.id === CLUSTER);
+    expect([...bytes.slice(clusterElement.dataStart, clusterElement.end)]).toEqual(bytesOf(uint(TIMECODE, 0), ...blocks));
+  });
+
+  it('never reads the whole recording at once', async () => {
+    // Three frames of 1.5MB, so the file is larger than the read window
+    const frame = new Uint8Array(1.5 * 1024 * 1024);
+    const frameBlock = (timecode, keyframe) => Uint8Array.from(bytesOf(
+      idBytes(SIMPLE_BLOCK), [0x01, 0, 0, 0, 0, (frame.length + 4) >> 16 & 0xff, (frame.length + 4) >> 8 & 0xff, (frame.length + 4) & 0xff],
+      0x80 | VIDEO, 0, timecode, keyframe ? 0x80 : 0
+    ));
+    const head = await recording().arrayBuffer();
+    const blob = new Blob([
+      head,
+      Uint8Array.from(bytesOf(idBytes(CLUSTER), UNKNOWN_SIZE, uint(TIMECODE, 0))),
+      frameBlock(0, true), frame,
+      frameBlock(33, false), frame,
+      frameBlock(66, false), frame,
+    ], { type: 'video/webm' });
+    const read = vi.spyOn(Blob.prototype, 'arrayBuffer');
+
+    const { blob: fixed, duration } = await fixWebmMetadata(blob);
+
+    const largest = Math.max(...read.mock.contexts.map(context => context.size));
+    expect(largest).toBeLessThan(blob.size / 2);
+    expect(fixed.size).toBeGreaterThan(blob.size - 100);
+    expect(duration).toBeCloseTo(0.000099);
+  });
+});
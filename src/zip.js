@@ -0,0 +1,177 @@
+// Minimal ZIP writer and reader for uncompressed ("stored") entries
+// Videos are already compressed, so storing them keeps archives as Blob references instead of copies in memory.
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_SIZE = 22;
+const VERSION = 20;
+const UTF8_FLAG = 0x0800;
+const STORED = 0;
+// Without ZIP64 every size and offset must fit in 32 bits
+const MAX_SIZE = 0xffffffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 of a blob, read as a stream so large files are never fully in memory
+ */
+async function crc32(blob) {
+  let crc = 0xffffffff;
+  const reader = blob.stream().getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    for (let i = 0; i < value.length; i++) {
+      crc = CRC_TABLE[(crc ^ value[i]) & 0xff] ^ (crc >>> 8);
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Date and time in MS-DOS format, as ZIP headers store them
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, blob: Blob}>} entries - Files to store, in order
+ * @returns {Promise<Blob>} - application/zip Blob
+ */
+export async function createZip(entries) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const { name, blob } of entries) {
+    const nameBytes = encoder.encode(name);
+    const crc = await crc32(blob);
+
+    const header = new DataView(new ArrayBuffer(LOCAL_HEADER_SIZE));
+    header.setUint32(0, LOCAL_HEADER, true);
+    header.setUint16(4, VERSION, true);
+    header.setUint16(6, UTF8_FLAG, true);
+    header.setUint16(8, STORED, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, blob.size, true);
+    header.setUint32(22, blob.size, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+
+    const entry = new DataView(new ArrayBuffer(CENTRAL_HEADER_SIZE));
+    entry.setUint32(0, CENTRAL_HEADER, true);
+    entry.setUint16(4, VERSION, true);
+    entry.setUint16(6, VERSION, true);
+    entry.setUint16(8, UTF8_FLAG, true);
+    entry.setUint16(10, STORED, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, blob.size, true);
+    entry.setUint32(24, blob.size, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+
+    parts.push(header, nameBytes, blob);
+    central.push(entry, nameBytes);
+    offset += LOCAL_HEADER_SIZE + nameBytes.length + blob.size;
+    if (offset > MAX_SIZE) {
+      throw new Error('Archive would be larger than 4 GB; export fewer videos at a time');
+    }
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(END_SIZE));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+async function readView(blob, start, end) {
+  return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+/**
+ * Read the entries of a ZIP archive without loading it into memory
+ * @param {Blob} file - ZIP archive
+ * @returns {Promise<Map<string, Blob>>} - Entry name -> contents (slices of `file`)
+ */
+export async function readZip(file) {
+  // The end record sits at the very end, followed by a comment of up to 64 KB
+  const tailStart = Math.max(0, file.size - END_SIZE - 0xffff);
+  const tail = await readView(file, tailStart, file.size);
+  let endOffset = -1;
+  for (let i = tail.byteLength - END_SIZE; i >= 0; i--) {
+    if (tail.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const count = tail.getUint16(endOffset + 10, true);
+  const centralSize = tail.getUint32(endOffset + 12, true);
+  const centralOffset = tail.getUint32(endOffset + 16, true);
+  const central = await readView(file, centralOffset, centralOffset + centralSize);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  let pos = 0;
+  for (let i = 0; i < count; i++) {
+    if (pos + CENTRAL_HEADER_SIZE > central.byteLength || central.getUint32(pos, true) !== CENTRAL_HEADER) {
+      throw new Error('ZIP central directory is damaged');
+    }
+    const method = central.getUint16(pos + 10, true);
+    const size = central.getUint32(pos + 20, true);
+    const nameLength = central.getUint16(pos + 28, true);
+    const extraLength = central.getUint16(pos + 30, true);
+    const commentLength = central.getUint16(pos + 32, true);
+    const localOffset = central.getUint32(pos + 42, true);
+    const name = decoder.decode(new Uint8Array(central.buffer, pos + CENTRAL_HEADER_SIZE, nameLength));
+    pos += CENTRAL_HEADER_SIZE + nameLength + extraLength + commentLength;
+
+    if (method !== STORED) {
+      throw new Error(`${name} is compressed; only archives exported from this app can be imported`);
+    }
+
+    // The local header's name and extra field may differ in length from the central copy
+    const local = await readView(file, localOffset, localOffset + LOCAL_HEADER_SIZE);
+    if (local.getUint32(0, true) !== LOCAL_HEADER) {
+      throw new Error(`ZIP entry ${name} is damaged`);
+    }
+    const dataStart = localOffset + LOCAL_HEADER_SIZE + local.getUint16(26, true) + local.getUint16(28, true);
+    entries.set(name, file.slice(dataStart, dataStart + size));
+  }
+
+  return entries;
+}
@@ -1,12 +1,77 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
+
+// Embeddable recorder (src/index.js) for other React apps, built with `vite build --mode lib`.
+// React stays a dependency of the host app; the service worker and PWA assets belong to this app only.
+const libraryConfig = {
+  plugins: [react()],
+  publicDir: false,
+  worker: {
+    format: 'es'
+  },
+  build: {
+    outDir: 'dist-lib',
+    lib: {
+      entry: 'src/index.js',
+      formats: ['es'],
+      fileName: 'video-recorder'
+    },
+    rollupOptions: {
+      external: ['react', 'react-dom', 'react/jsx-runtime']
+    }
+  }
+}
 
 // https://vite.dev/config/
-export default defineConfig({
+export default defineConfig(({ mode }) => mode === 'lib' ? libraryConfig : {
   base: './',
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Service worker is built from src/sw.js (app shell precache + Background Sync uploads)
+    VitePWA({
+      strategies: 'injectManifest',
+      srcDir: 'src',
+      filename: 'sw.js',
+      // Registered from src/UpdatePrompt.jsx, which asks before activating a new build
+      injectRegister: false,
+      registerType: 'prompt',
+      manifest: {
+        name: 'VideoVault',
+        short_name: 'VideoVault',
+        description: 'Record videos on your phone and never lose a recording, even offline',
+        start_url: './',
+        scope: './',
+        display: 'standalone',
+        orientation: 'portrait',
+        theme_color: '#667eea',
+        background_color: '#764ba2',
+        icons: [
+          { src: 'icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'icons/icon-512.png', sizes: '512x512', type: 'image/png' },
+          { src: 'icons/maskable-512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' }
+        ]
+      },
+      injectManifest: {
+        globPatterns: ['**/*.{js,css,html,svg,png,ico,webmanifest}'],
+        // The ffmpeg.wasm core (~30MB with its .wasm) is fetched only when compressing
+        globIgnores: ['**/ffmpeg-core*']
+      }
+    })
+  ],
+  // ffmpeg.wasm (src/compression.js) starts its own module worker, which must stay ESM and unbundled in dev
+  worker: {
+    format: 'es'
+  },
+  optimizeDeps: {
+    exclude: ['@ffmpeg/ffmpeg', '@ffmpeg/util']
+  },
   server: {
     host: true, // Allow access from mobile devices on same network
-    port: 3000
+    port: 3000,
+    // Forward /api to the local signing server (npm run sign-server)
+    proxy: {
+      '/api': 'http://localhost:8787'
+    }
   }
 })